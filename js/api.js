@@ -10,128 +10,641 @@ const API = {
     // Toronto Open Data for schedule data
     SCHEDULE_BASE: 'https://www.toronto.ca/data/parks/live/dropin/skate',
 
+    // City facility pages, by location id
+    RINK_PAGE_BASE: 'https://www.toronto.ca/data/parks/prd/facilities/complex',
+
+    // Rough city travel estimates from straight-line distance: average speed (km/h), how much
+    // longer the route is than the straight line, and fixed minutes for waiting, parking, etc.
+    TRAVEL_MODES: {
+        walk: { label: 'Walking', short: 'walk', speed: 5, detour: 1.3, overhead: 0 },
+        bike: { label: 'Cycling', short: 'bike', speed: 15, detour: 1.3, overhead: 2 },
+        transit: { label: 'Transit', short: 'transit', speed: 20, detour: 1.3, overhead: 10 },
+        drive: { label: 'Driving', short: 'drive', speed: 25, detour: 1.4, overhead: 5 }
+    },
+
+    // Recorded snapshots of both feeds (see tools/record-fixtures.js)
+    FIXTURES_BASE: 'fixtures',
+
+    // Where rinks and schedules come from: 'live' or 'fixtures'
+    DATA_SOURCES: ['live', 'fixtures'],
+    dataSource: 'live',
+
+    // Fixture manifest promise, loaded once per data source switch
+    fixtureManifest: null,
+
     // Cache for rinks data
     rinksCache: null,
 
+    // Set by the service worker (sw.js) on responses served from its offline cache
+    CACHED_AT_HEADER: 'X-Skates-Cached-At',
+
+    // Fetch time of each data source currently shown from the offline cache
+    cachedSources: new Map(),
+
+    // Cache keys served from an expired DataCache entry and not yet refreshed
+    staleKeys: new Set(),
+
+    // CORS proxy strategies for schedule fetches (Toronto's feed has no CORS headers)
+    PROXY_STRATEGIES: {
+        direct: {
+            label: 'Direct',
+            buildUrl: url => url
+        },
+        corsproxy: {
+            label: 'corsproxy.io',
+            buildUrl: url => `https://corsproxy.io/?${encodeURIComponent(url)}`
+        },
+        custom: {
+            label: 'Self-hosted',
+            // e.g. "http://localhost:8787/?url=" for tools/proxy-server.js
+            buildUrl: (url, config) => config.customUrl ? `${config.customUrl}${encodeURIComponent(url)}` : null
+        }
+    },
+
+    // Ordered strategies to try; an empty chain ("none") means schedules only come from cache
+    proxyConfig: {
+        chain: ['corsproxy'],
+        customUrl: ''
+    },
+
+    // Recent failures per proxy strategy: id -> { failures: [timestamps], skipUntil }
+    proxyHealth: new Map(),
+    PROXY_FAILURE_LIMIT: 3,              // Failures within the window before a proxy is skipped
+    PROXY_FAILURE_WINDOW: 5 * 60 * 1000,
+    PROXY_COOLDOWN: 2 * 60 * 1000,
+
+    // Assumed session length when the feed only gives a start time
+    DEFAULT_DURATION_MINUTES: 90,
+
+    // Day ids for URL params and filters, indexed like Date.getDay()
+    DAYS_OF_WEEK: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+
+    // Known drop-in activity categories, in display order
+    ACTIVITY_TYPES: [
+        { id: 'leisure', label: 'Leisure Skate' },
+        { id: 'shinny', label: 'Shinny' },
+        { id: 'adult', label: 'Adult Skate' },
+        { id: 'parent-tot', label: 'Parent & Tot' },
+        { id: 'senior', label: 'Skate with a Senior' },
+        { id: 'other', label: 'Other' }
+    ],
+
+    /**
+     * Switch between live data and recorded fixtures, dropping in-memory data from the other source
+     */
+    setDataSource(source) {
+        if (!this.DATA_SOURCES.includes(source) || source === this.dataSource) return;
+
+        this.dataSource = source;
+        this.rinksCache = null;
+        this.fixtureManifest = null;
+        this.staleKeys.clear();
+        this.cachedSources.clear();
+    },
+
+    /**
+     * Read a fixture file. Node tools replace this with a filesystem read.
+     */
+    fetchFixture(path) {
+        return fetch(`${this.FIXTURES_BASE}/${path}`);
+    },
+
+    /**
+     * Get the fixture manifest ({ recordedAt, ... }), or an empty one if missing
+     */
+    getFixtureManifest() {
+        if (!this.fixtureManifest) {
+            this.fixtureManifest = this.fetchFixture('manifest.json')
+                .then(response => response.ok ? response.json() : {})
+                .catch(() => ({}));
+        }
+        return this.fixtureManifest;
+    },
+
+    /**
+     * Days to add to fixture dates so the recorded weeks line up with the current week.
+     * Whole weeks only, so sessions stay on the same weekday.
+     */
+    async getFixtureDateOffset() {
+        const manifest = await this.getFixtureManifest();
+        if (!manifest.recordedAt) return 0;
+
+        const recorded = this.toDate(manifest.recordedAt, 0);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const days = Math.round((today - recorded) / (24 * 60 * 60 * 1000));
+        return Math.floor(days / 7) * 7;
+    },
+
+    /**
+     * Load rinks from the recorded ArcGIS snapshot
+     */
+    async loadFixtureRinks() {
+        const response = await this.fetchFixture('rinks.json');
+        return this.parseRinks(await response.json());
+    },
+
     /**
-     * Get proxied URL for Toronto API
+     * Load a rink's schedule from its recorded snapshot (raw UTF-16LE bytes, like the live feed)
      */
-    getProxiedUrl(url) {
-        // Use corsproxy.io
-        return `https://corsproxy.io/?${encodeURIComponent(url)}`;
+    async loadFixtureSchedule(rinkId) {
+        const response = await this.fetchFixture(`schedules/${rinkId}.json`);
+        if (!response.ok) {
+            return [];
+        }
+
+        const sessions = this.parseScheduleBuffer(await response.arrayBuffer());
+        const offset = await this.getFixtureDateOffset();
+        if (offset === 0) return sessions;
+
+        return sessions.map(session => {
+            const date = this.toDate(session.date, 0);
+            date.setDate(date.getDate() + offset);
+            return { ...session, date: this.formatDate(date) };
+        });
     },
 
     /**
-     * Fetch all rink locations from ArcGIS
+     * Set the proxy chain and self-hosted proxy URL
      */
-    async fetchRinks() {
-        if (this.rinksCache) {
+    setProxyConfig(config) {
+        this.proxyConfig = {
+            chain: (config.chain || []).filter(id => this.PROXY_STRATEGIES[id]),
+            customUrl: config.customUrl || ''
+        };
+    },
+
+    /**
+     * Parse a proxy chain string like "custom, corsproxy" ("none" for no network)
+     */
+    parseProxyChain(chainStr) {
+        const ids = (chainStr || '').split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+        if (ids.includes('none')) return [];
+        return [...new Set(ids)].filter(id => this.PROXY_STRATEGIES[id]);
+    },
+
+    /**
+     * Get proxied URL for Toronto API using a proxy strategy
+     */
+    getProxiedUrl(url, strategyId = 'corsproxy') {
+        const strategy = this.PROXY_STRATEGIES[strategyId];
+        return strategy ? strategy.buildUrl(url, this.proxyConfig) : null;
+    },
+
+    /**
+     * Check if a proxy strategy is cooling down after repeated failures
+     */
+    isProxySkipped(strategyId) {
+        const health = this.proxyHealth.get(strategyId);
+        return Boolean(health && health.skipUntil > Date.now());
+    },
+
+    /**
+     * Record a proxy failure, skipping the proxy for a while once it fails too often
+     */
+    recordProxyFailure(strategyId) {
+        const now = Date.now();
+        const health = this.proxyHealth.get(strategyId) || { failures: [], skipUntil: 0 };
+
+        health.failures = health.failures.filter(t => now - t < this.PROXY_FAILURE_WINDOW);
+        health.failures.push(now);
+
+        if (health.failures.length >= this.PROXY_FAILURE_LIMIT) {
+            health.skipUntil = now + this.PROXY_COOLDOWN;
+            health.failures = [];
+            console.warn(`Proxy "${strategyId}" failing, skipping it for ${this.PROXY_COOLDOWN / 60000} min`);
+        }
+
+        this.proxyHealth.set(strategyId, health);
+    },
+
+    /**
+     * Record a proxy success, clearing its failure history
+     */
+    recordProxySuccess(strategyId) {
+        this.proxyHealth.delete(strategyId);
+    },
+
+    /**
+     * Get a readable status for each proxy in the chain
+     */
+    getProxyStatus() {
+        return this.proxyConfig.chain.map(id => {
+            const health = this.proxyHealth.get(id);
+            let status = 'ok';
+            if (this.isProxySkipped(id)) {
+                const minutes = Math.ceil((health.skipUntil - Date.now()) / 60000);
+                status = `skipped for ${minutes} min`;
+            } else if (health && health.failures.length > 0) {
+                status = `${health.failures.length} recent failure${health.failures.length === 1 ? '' : 's'}`;
+            }
+            return { id, label: this.PROXY_STRATEGIES[id].label, status };
+        });
+    },
+
+    /**
+     * Fetch a URL through the proxy chain, falling through to the next proxy on failure.
+     * A 404 is a valid answer (rink has no schedule); any other error status counts as
+     * a proxy failure (e.g., a 403 from a proxy that blocks the request).
+     */
+    async fetchViaProxies(targetUrl) {
+        const chain = this.proxyConfig.chain;
+        if (chain.length === 0) {
+            throw new Error('No proxy configured');
+        }
+
+        // Skip proxies that are cooling down, unless that leaves nothing to try
+        const healthy = chain.filter(id => !this.isProxySkipped(id));
+        const toTry = healthy.length > 0 ? healthy : chain;
+
+        let lastError = null;
+        for (const id of toTry) {
+            const url = this.getProxiedUrl(targetUrl, id);
+            if (!url) continue;
+
+            try {
+                const response = await fetch(url);
+                if (!response.ok && response.status !== 404) {
+                    throw new Error(`Proxy responded ${response.status}`);
+                }
+                this.recordProxySuccess(id);
+                return response;
+            } catch (error) {
+                this.recordProxyFailure(id);
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error('No usable proxy');
+    },
+
+    /**
+     * Get the persistent cache, or null where IndexedDB isn't available
+     */
+    getCache() {
+        if (typeof DataCache === 'undefined' || !DataCache.isAvailable()) {
+            return null;
+        }
+        return DataCache;
+    },
+
+    /**
+     * Read through the persistent cache.
+     * Expired entries are returned as-is and marked stale, unless options.refresh is set,
+     * in which case they are re-fetched (falling back to the stale value if that fails).
+     */
+    async cachedFetch(key, loader, options = {}) {
+        const cache = this.getCache();
+        if (!cache) {
+            return loader();
+        }
+
+        const cached = await cache.get(key);
+
+        if (cached && !cached.expired) {
+            this.staleKeys.delete(key);
+            this.cachedSources.delete(key);
+            return cached.value;
+        }
+
+        if (cached && !options.refresh) {
+            this.staleKeys.add(key);
+            return cached.value;
+        }
+
+        try {
+            this.cachedSources.delete(key);
+            const value = await loader();
+
+            // Offline fallback from the service worker: keep whichever copy is newer
+            const offlineAt = this.cachedSources.get(key);
+            if (offlineAt) {
+                if (cached && cached.storedAt > offlineAt) {
+                    this.cachedSources.set(key, cached.storedAt);
+                    return cached.value;
+                }
+                return value;
+            }
+
+            await cache.set(key, value);
+            this.staleKeys.delete(key);
+            return value;
+        } catch (error) {
+            if (cached) {
+                // Still offline: flag the data as cached so the banner shows its age
+                this.cachedSources.set(key, cached.storedAt);
+                return cached.value;
+            }
+            throw error;
+        }
+    },
+
+    /**
+     * Check if any data shown came from an expired cache entry
+     */
+    hasStaleData() {
+        return this.staleKeys.size > 0;
+    },
+
+    /**
+     * Clear the persistent and in-memory caches
+     */
+    async clearCache() {
+        this.rinksCache = null;
+        this.staleKeys.clear();
+
+        const cache = this.getCache();
+        if (cache) {
+            await cache.clear();
+        }
+    },
+
+    /**
+     * Fetch all rink locations, from cache when available.
+     * options.source reads another data source than dataSource without switching to it.
+     */
+    async fetchRinks(options = {}) {
+        const source = options.source || this.dataSource;
+
+        // rinksCache only holds the current data source's rinks
+        const keepInMemory = source === this.dataSource;
+        const refreshing = options.refresh && this.staleKeys.has('rinks');
+        if (keepInMemory && this.rinksCache && !refreshing) {
             return this.rinksCache;
         }
 
+        try {
+            // Fixtures are local files, so they skip the persistent cache
+            const rinks = source === 'fixtures'
+                ? await this.loadFixtureRinks()
+                : await this.cachedFetch('rinks', () => this.loadRinks(), options);
+            if (keepInMemory) {
+                this.rinksCache = rinks;
+            }
+            return rinks;
+        } catch (error) {
+            console.error('Error fetching rinks:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Load all rink locations from ArcGIS
+     */
+    async loadRinks() {
+        const response = await fetch(this.getRinksQueryUrl());
+        this.trackCacheStatus('rinks', response);
+        return this.parseRinks(await response.json());
+    },
+
+    /**
+     * Get the ArcGIS query URL for all rink locations
+     */
+    getRinksQueryUrl() {
         const params = new URLSearchParams({
             where: '1=1',
             outFields: 'locationid,location,address,location_type,x,y',
             f: 'json',
             returnGeometry: 'false'
         });
+        return `${this.RINKS_URL}?${params}`;
+    },
 
-        try {
-            const response = await fetch(`${this.RINKS_URL}?${params}`);
-            const data = await response.json();
-
-            this.rinksCache = data.features.map(feature => ({
-                id: feature.attributes.locationid,
-                name: feature.attributes.location,
-                address: feature.attributes.address,
-                type: feature.attributes.location_type,
-                lat: feature.attributes.y,
-                lng: feature.attributes.x
-            }));
+    /**
+     * Convert an ArcGIS query response to rink objects
+     */
+    parseRinks(data) {
+        return data.features.map(feature => ({
+            id: feature.attributes.locationid,
+            name: feature.attributes.location,
+            address: feature.attributes.address,
+            type: feature.attributes.location_type,
+            lat: feature.attributes.y,
+            lng: feature.attributes.x
+        }));
+    },
 
-            return this.rinksCache;
+    /**
+     * Fetch schedule for a specific rink, from cache when available (options.source as for fetchRinks)
+     */
+    async fetchSchedule(rinkId, options = {}) {
+        try {
+            if ((options.source || this.dataSource) === 'fixtures') {
+                return await this.loadFixtureSchedule(rinkId);
+            }
+            return await this.cachedFetch(`schedule:${rinkId}`, () => this.loadSchedule(rinkId), options);
         } catch (error) {
-            console.error('Error fetching rinks:', error);
+            // Silent fail for individual rinks
             return [];
         }
     },
 
     /**
-     * Fetch schedule for a specific rink
-     * Uses CORS proxy since Toronto's API doesn't have CORS headers
+     * Load schedule for a specific rink from Toronto Open Data
+     * Goes through the proxy chain since Toronto's API doesn't have CORS headers
      */
-    async fetchSchedule(rinkId) {
+    async loadSchedule(rinkId) {
         const targetUrl = `${this.SCHEDULE_BASE}/${rinkId}.json`;
-        const url = this.getProxiedUrl(targetUrl);
+        const response = await this.fetchViaProxies(targetUrl);
+        this.trackCacheStatus(`schedule:${rinkId}`, response);
 
-        try {
-            const response = await fetch(url);
+        // Rinks without drop-in programs have no schedule file
+        if (response.status === 404) {
+            return [];
+        }
 
-            if (!response.ok) {
-                return [];
-            }
+        // Anything else is a failed fetch, so it isn't cached as an empty schedule
+        if (!response.ok) {
+            throw new Error(`Schedule responded ${response.status}`);
+        }
 
-            // Get as array buffer to handle encoding
-            const buffer = await response.arrayBuffer();
+        return this.parseScheduleBuffer(await response.arrayBuffer());
+    },
 
-            // Try to decode as UTF-16LE (Toronto's encoding)
-            let text;
-            try {
-                const decoder = new TextDecoder('utf-16le');
-                text = decoder.decode(buffer);
-                // Check if it looks like valid JSON
-                if (!text.trim().startsWith('[') && !text.trim().startsWith('{')) {
-                    throw new Error('Not UTF-16');
-                }
-            } catch {
-                // Fallback to UTF-8
-                const decoder = new TextDecoder('utf-8');
-                text = decoder.decode(buffer);
+    /**
+     * Decode and parse a raw schedule file into sessions
+     */
+    parseScheduleBuffer(buffer) {
+        // Try to decode as UTF-16LE (Toronto's encoding)
+        let text;
+        try {
+            const decoder = new TextDecoder('utf-16le');
+            text = decoder.decode(buffer);
+            // Check if it looks like valid JSON
+            if (!text.trim().startsWith('[') && !text.trim().startsWith('{')) {
+                throw new Error('Not UTF-16');
             }
+        } catch {
+            // Fallback to UTF-8
+            const decoder = new TextDecoder('utf-8');
+            text = decoder.decode(buffer);
+        }
 
-            // Remove BOM if present
-            if (text.charCodeAt(0) === 0xFEFF) {
-                text = text.slice(1);
-            }
+        // Remove BOM if present
+        if (text.charCodeAt(0) === 0xFEFF) {
+            text = text.slice(1);
+        }
+
+        // Parse JSON
+        const data = JSON.parse(text);
+
+        // Extract sessions - Toronto's format: Array of objects with 'r' array
+        const sessions = [];
 
-            // Parse JSON
-            const data = JSON.parse(text);
-
-            // Extract sessions - Toronto's format: Array of objects with 'r' array
-            const sessions = [];
-
-            if (Array.isArray(data)) {
-                for (const item of data) {
-                    if (item.r && Array.isArray(item.r)) {
-                        for (const session of item.r) {
-                            // Only include leisure skating (lowercase comparison)
-                            const activity = (session.c || '').toLowerCase();
-                            if (activity.includes('leisure skate') || activity.includes('leisure ice')) {
-                                sessions.push({
-                                    activity: session.c,
-                                    date: session.d,      // YYYY-MM-DD
-                                    time: session.t,      // HH:MM AM/PM
-                                    age: session.age || 'All Ages',
-                                    facility: session.f
-                                });
-                            }
-                        }
+        if (Array.isArray(data)) {
+            for (const item of data) {
+                if (item.r && Array.isArray(item.r)) {
+                    for (const session of item.r) {
+                        const { start, end, durationMinutes } = this.parseTimeRange(session.t);
+                        sessions.push({
+                            activity: session.c,
+                            activityType: this.normalizeActivity(session.c),
+                            date: session.d,      // YYYY-MM-DD
+                            time: session.t,      // Raw feed string, e.g. "7:00 PM - 8:30 PM"
+                            start,                // Minutes since midnight
+                            end,                  // Minutes since midnight (> 1440 if past midnight)
+                            durationMinutes,
+                            age: session.age || 'All Ages',
+                            eligibility: this.parseAgeEligibility(session.age),
+                            facility: session.f
+                        });
                     }
                 }
             }
+        }
 
-            return sessions;
-        } catch (error) {
-            // Silent fail for individual rinks
-            return [];
+        return sessions;
+    },
+
+    /**
+     * Remember whether a response came from the service worker's offline cache
+     */
+    trackCacheStatus(key, response) {
+        const cachedAt = response.headers.get(this.CACHED_AT_HEADER);
+        if (cachedAt) {
+            this.cachedSources.set(key, new Date(cachedAt));
+        } else {
+            this.cachedSources.delete(key);
+        }
+    },
+
+    /**
+     * Get the oldest fetch time among data shown from the offline cache, or null if all data is live
+     */
+    getCachedDataTime() {
+        if (this.cachedSources.size === 0) return null;
+        return new Date(Math.min(...[...this.cachedSources.values()].map(d => d.getTime())));
+    },
+
+    /**
+     * Map a raw activity name from the schedule feed to an ACTIVITY_TYPES id
+     */
+    normalizeActivity(activityName) {
+        const activity = (activityName || '').toLowerCase();
+
+        // Order matters: "Leisure Skate: Adult" should be adult, not leisure
+        if (activity.includes('shinny') || activity.includes('hockey')) return 'shinny';
+        if (activity.includes('parent') || /\btots?\b/.test(activity) || activity.includes('caregiver')) return 'parent-tot';
+        if (activity.includes('senior') || activity.includes('older adult')) return 'senior';
+        if (activity.includes('adult')) return 'adult';
+        if (activity.includes('leisure') || /\b(skat\w*|ice)\b/.test(activity)) return 'leisure';
+        return 'other';
+    },
+
+    /**
+     * Get display label for an activity type id
+     */
+    getActivityLabel(activityType) {
+        const type = this.ACTIVITY_TYPES.find(t => t.id === activityType);
+        return type ? type.label : 'Other';
+    },
+
+    /**
+     * Parse a feed age string like "(13 to 17 years)" or "(Under 6 with caregiver)" into
+     * { min, max, adultOnly, family, senior, caregiver }. min/max are inclusive ages, null if open.
+     */
+    parseAgeEligibility(ageStr) {
+        const text = (ageStr || '').toLowerCase();
+        let min = null;
+        let max = null;
+        let match;
+
+        if ((match = text.match(/(\d+)\s*(?:to|-|–)\s*(\d+)/))) {
+            min = parseInt(match[1], 10);
+            max = parseInt(match[2], 10);
+        } else if ((match = text.match(/(\d+)\s*(?:years?|yrs?)?\s*(?:and|&)\s*(?:over|older|up)|(\d+)\s*\+/))) {
+            min = parseInt(match[1] || match[2], 10);
+        } else if ((match = text.match(/under\s*(\d+)/))) {
+            max = parseInt(match[1], 10) - 1;
+        } else if ((match = text.match(/(\d+)\s*(?:years?|yrs?)?\s*(?:and|&)\s*(?:under|younger)/))) {
+            max = parseInt(match[1], 10);
+        }
+
+        const senior = /senior|older adult/.test(text) || (min !== null && min >= 60);
+        if (senior && min === null) min = 60;
+        if (/\badults?\b/.test(text) && min === null) min = 18;
+
+        return {
+            min,
+            max,
+            adultOnly: min !== null && min >= 18,
+            family: /famil(y|ies)/.test(text),
+            senior,
+            caregiver: /caregiver|guardian|parent|accompan/.test(text)
+        };
+    },
+
+    /**
+     * Get a short badge label for an eligibility, e.g. "13–17", "Adults 18+", "Under 6 + caregiver"
+     */
+    formatAgeEligibility(eligibility) {
+        const { min, max } = eligibility;
+        let label;
+
+        if (eligibility.senior) {
+            label = `Seniors ${min}+`;
+        } else if (eligibility.adultOnly && max === null) {
+            label = `Adults ${min}+`;
+        } else if (min !== null && max !== null) {
+            label = `Ages ${min}–${max}`;
+        } else if (min !== null) {
+            label = `Ages ${min}+`;
+        } else if (max !== null) {
+            label = `Under ${max + 1}`;
+        } else {
+            label = eligibility.family ? 'Family' : 'All ages';
         }
+
+        return eligibility.caregiver ? `${label} + caregiver` : label;
+    },
+
+    /**
+     * Check if a group with these ages can all attend a session.
+     * At caregiver sessions, adults outside the age range may come along with an eligible child.
+     */
+    canGroupAttend(eligibility, ages) {
+        const isEligible = age =>
+            (eligibility.min === null || age >= eligibility.min) &&
+            (eligibility.max === null || age <= eligibility.max);
+
+        const children = ages.filter(isEligible);
+
+        if (eligibility.caregiver) {
+            const hasCaregiver = ages.some(age => age >= 18);
+            return hasCaregiver && children.length > 0 && ages.every(age => isEligible(age) || age >= 18);
+        }
+
+        return children.length === ages.length;
     },
 
     /**
      * Fetch all sessions from all rinks
+     * Pass options.refresh to re-fetch data that was served from an expired cache entry,
+     * and options.source to read a data source other than dataSource
      */
-    async fetchAllSessions(userLocation = null, filters = {}) {
-        const rinks = await this.fetchRinks();
+    async fetchAllSessions(userLocation = null, filters = {}, options = {}) {
+        const rinks = await this.fetchRinks(options);
 
         if (rinks.length === 0) {
             return { sessions: [], rinks: [] };
@@ -160,6 +673,11 @@ const API = {
             }));
         }
 
+        // Filter to a map area ("Search this area")
+        if (filters.bounds) {
+            filteredRinks = filteredRinks.filter(rink => this.isInBounds(rink.lat, rink.lng, filters.bounds));
+        }
+
         // Filter by rink type
         if (filters.rinkType) {
             filteredRinks = filteredRinks.filter(rink => rink.type === filters.rinkType);
@@ -172,30 +690,12 @@ const API = {
         for (let i = 0; i < filteredRinks.length; i += BATCH_SIZE) {
             const batch = filteredRinks.slice(i, i + BATCH_SIZE);
             const batchPromises = batch.map(async rink => {
-                const schedule = await this.fetchSchedule(rink.id);
-                return schedule.map(session => ({
-                    rink: {
-                        id: rink.id,
-                        name: rink.name,
-                        address: rink.address,
-                        type: rink.type,
-                        lat: rink.lat,
-                        lng: rink.lng,
-                        distance: rink.distance
-                    },
-                    session
-                }));
+                const schedule = await this.fetchSchedule(rink.id, options);
+                return this.toSessionItems(rink, schedule);
             });
 
             const results = await Promise.allSettled(
-                batchPromises.map(p =>
-                    Promise.race([
-                        p,
-                        new Promise((_, reject) =>
-                            setTimeout(() => reject(new Error('Timeout')), 15000)
-                        )
-                    ])
-                )
+                batchPromises.map(p => this.withTimeout(p, 15000))
             );
 
             for (const result of results) {
@@ -212,12 +712,65 @@ const API = {
         sessions.sort((a, b) => {
             const dateCompare = a.session.date.localeCompare(b.session.date);
             if (dateCompare !== 0) return dateCompare;
-            return this.parseTime(a.session.time) - this.parseTime(b.session.time);
+            return (a.session.start ?? 0) - (b.session.start ?? 0);
         });
 
         return { sessions, rinks: filteredRinks };
     },
 
+    /**
+     * Fetch one rink and its upcoming sessions, regardless of filters (for the rink page).
+     * Returns { rink, sessions }, or null if there's no rink with that id.
+     */
+    async fetchRinkSessions(rinkId, userLocation = null) {
+        const rinks = await this.fetchRinks();
+        const found = rinks.find(rink => String(rink.id) === String(rinkId));
+        if (!found) return null;
+
+        const rink = userLocation
+            ? { ...found, distance: this.calculateDistance(userLocation.lat, userLocation.lng, found.lat, found.lng) }
+            : found;
+
+        const schedule = await this.fetchSchedule(rink.id);
+        const sessions = this.applyTimeFilters(this.toSessionItems(rink, schedule), { timeFilter: 'upcoming' });
+        sessions.sort((a, b) => a.session.date.localeCompare(b.session.date) || (a.session.start ?? 0) - (b.session.start ?? 0));
+
+        return { rink, sessions };
+    },
+
+    /**
+     * Pair a rink's schedule with the rink as { rink, session } items
+     */
+    toSessionItems(rink, schedule) {
+        const rinkInfo = {
+            id: rink.id,
+            name: rink.name,
+            address: rink.address,
+            type: rink.type,
+            lat: rink.lat,
+            lng: rink.lng,
+            distance: rink.distance
+        };
+
+        return schedule.map(session => ({
+            rink: rinkInfo,
+            // Schedules cached before eligibility was parsed don't have it yet
+            session: session.eligibility ? session : { ...session, eligibility: this.parseAgeEligibility(session.age) }
+        }));
+    },
+
+    /**
+     * Reject if a promise doesn't settle in time, clearing the timer either way
+     * so Node tools can exit as soon as they're done
+     */
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Timeout')), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    },
+
     /**
      * Apply time-based filters to sessions
      */
@@ -229,17 +782,29 @@ const API = {
         return sessions.filter(item => {
             const { session } = item;
 
+            // Activity type filter
+            if (filters.activityType && session.activityType !== filters.activityType) {
+                return false;
+            }
+
             // Date filter
-            if (filters.filterDate) {
-                if (session.date !== filters.filterDate) return false;
+            if (filters.dateFrom && session.date < filters.dateFrom) return false;
+            if (filters.dateTo && session.date > filters.dateTo) return false;
+
+            // Skater ages - everyone in the group must be able to attend
+            if (filters.ages && filters.ages.length > 0 && !this.canGroupAttend(session.eligibility, filters.ages)) {
+                return false;
+            }
+
+            // Day of week filter
+            if (filters.days && filters.days.length > 0 && !filters.days.includes(this.getDayOfWeek(session.date))) {
+                return false;
             }
 
             // Time of day filter
-            if (filters.timeOfDay && filters.timeOfDay !== 'all') {
-                const hour = this.parseTime(session.time);
-                if (filters.timeOfDay === 'morning' && (hour < 0 || hour >= 12)) return false;
-                if (filters.timeOfDay === 'afternoon' && (hour < 12 || hour >= 17)) return false;
-                if (filters.timeOfDay === 'evening' && (hour < 17 || hour >= 24)) return false;
+            if (filters.timeStart && filters.timeEnd) {
+                if (session.start === null) return false;
+                if (!this.isInTimeWindow(session.start, filters.timeStart, filters.timeEnd)) return false;
             }
 
             // Upcoming/past filter
@@ -253,22 +818,195 @@ const API = {
     },
 
     /**
-     * Parse time string to hours (24h format)
+     * Parse a clock time ("7:00 PM", "7 pm", "19:00") to minutes since midnight.
+     * meridiemHint ('AM'/'PM') applies when the string has no AM/PM of its own.
      */
-    parseTime(timeStr) {
-        if (!timeStr) return 0;
+    parseClock(timeStr, meridiemHint = null) {
+        if (!timeStr) return null;
 
-        const match = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
-        if (!match) return 0;
+        const match = timeStr.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM|A\.M\.|P\.M\.)?$/i);
+        if (!match) return null;
 
         let hours = parseInt(match[1], 10);
-        const isPM = match[3] && match[3].toUpperCase() === 'PM';
-        const isAM = match[3] && match[3].toUpperCase() === 'AM';
+        const minutes = match[2] ? parseInt(match[2], 10) : 0;
+        const meridiem = match[3] ? match[3].replace(/\./g, '').toUpperCase() : meridiemHint;
 
-        if (isPM && hours !== 12) hours += 12;
-        if (isAM && hours === 12) hours = 0;
+        // A bare hour with no minutes and no AM/PM is too ambiguous to trust
+        if (!match[2] && !meridiem) return null;
+        if (minutes > 59) return null;
 
-        return hours;
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            if (meridiem === 'PM' && hours !== 12) hours += 12;
+            if (meridiem === 'AM' && hours === 12) hours = 0;
+        } else if (hours > 24) {
+            return null;
+        }
+
+        return hours * 60 + minutes;
+    },
+
+    /**
+     * Parse a feed time string into { start, end, durationMinutes }.
+     * Handles single times ("7:00 PM"), ranges ("7:00 PM - 8:30 PM", "7:00 - 8:30 PM")
+     * and 24h strings ("19:00-20:30"). Missing end times use DEFAULT_DURATION_MINUTES.
+     */
+    parseTimeRange(timeStr) {
+        const empty = { start: null, end: null, durationMinutes: null };
+        if (!timeStr) return empty;
+
+        const parts = timeStr.split(/\s*(?:-|–|—|\bto\b)\s*/i).filter(Boolean);
+        if (parts.length === 0 || parts.length > 2) return empty;
+
+        let start = this.parseClock(parts[0]);
+        let end = parts.length === 2 ? this.parseClock(parts[1]) : null;
+
+        // "7:00 - 8:30 PM": borrow the end's AM/PM, unless that puts the start after the end
+        if (parts.length === 2 && end !== null && !/[AP]\.?M\.?\s*$/i.test(parts[0])) {
+            const meridiem = parts[1].match(/([AP])\.?M\.?\s*$/i);
+            if (meridiem) {
+                const hinted = this.parseClock(parts[0], `${meridiem[1].toUpperCase()}M`);
+                if (hinted !== null && hinted <= end) {
+                    start = hinted;
+                } else if (start === null) {
+                    start = this.parseClock(parts[0], 'AM');
+                }
+            }
+        }
+
+        if (start === null) return empty;
+
+        if (end === null) {
+            end = start + this.DEFAULT_DURATION_MINUTES;
+        } else if (end <= start) {
+            // Session runs past midnight
+            end += 24 * 60;
+        }
+
+        return { start, end, durationMinutes: end - start };
+    },
+
+    /**
+     * Get the day id (from DAYS_OF_WEEK) for a YYYY-MM-DD date
+     */
+    getDayOfWeek(dateStr) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return this.DAYS_OF_WEEK[new Date(year, month - 1, day).getDay()];
+    },
+
+    /**
+     * Check if a start time (minutes since midnight) falls in an inclusive HH:MM window.
+     * Windows that end before they start wrap past midnight (e.g., 22:00-02:00).
+     */
+    isInTimeWindow(minutes, windowStart, windowEnd) {
+        const start = this.parseClock(windowStart);
+        const end = this.parseClock(windowEnd);
+        if (start === null || end === null) return true;
+
+        if (start <= end) {
+            return minutes >= start && minutes <= end;
+        }
+        return minutes >= start || minutes <= end;
+    },
+
+    /**
+     * Format minutes since midnight as a 12h clock time (e.g., "7:30 PM")
+     */
+    formatClock(minutes) {
+        const dayMinutes = ((minutes % 1440) + 1440) % 1440;
+        const hours = Math.floor(dayMinutes / 60);
+        const mins = dayMinutes % 60;
+        const meridiem = hours < 12 ? 'AM' : 'PM';
+        const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+        return `${displayHours}:${String(mins).padStart(2, '0')} ${meridiem}`;
+    },
+
+    /**
+     * Format a session's time span (e.g., "7:00 PM – 8:30 PM"), falling back to the raw feed string
+     */
+    formatSessionTime(session) {
+        if (session.start === null || session.start === undefined) {
+            return session.time || '';
+        }
+        return `${this.formatClock(session.start)} – ${this.formatClock(session.end)}`;
+    },
+
+    /**
+     * Get a stable key for a { rink, session } item, e.g. "123-2024-12-11-1900-2030-leisure-13to17".
+     * The end time and age range tell apart sessions that start together (age groups, pads).
+     * Used for calendar UIDs, so re-exports update events instead of duplicating them.
+     */
+    sessionKey(item) {
+        const { rink, session } = item;
+        const clock = minutes => `${String(Math.floor(minutes / 60)).padStart(2, '0')}${String(minutes % 60).padStart(2, '0')}`;
+        const time = session.start !== null && session.start !== undefined
+            ? `${clock(session.start)}-${clock(session.end)}`
+            : 'tbd';
+
+        const { min = null, max = null } = session.eligibility || {};
+        let ages = 'all';
+        if (max !== null) {
+            ages = `${min ?? 0}to${max}`;
+        } else if (min !== null) {
+            ages = `${min}up`;
+        }
+
+        return `${rink.id}-${session.date}-${time}-${session.activityType}-${ages}`;
+    },
+
+    /**
+     * Get the rink id and date back out of a sessionKey, or null if it isn't one
+     */
+    parseSessionKey(key) {
+        const match = String(key).match(/^(.+)-(\d{4}-\d{2}-\d{2})-(?:\d{4}-\d{4}|tbd)-[\w-]+-(?:all|\d+to\d+|\d+up)$/);
+        return match ? { rinkId: match[1], date: match[2] } : null;
+    },
+
+    /**
+     * Get minutes from now until a session starts and ends (negative once passed),
+     * or null if the session has no parsed time
+     */
+    getSessionTiming(session, now = new Date()) {
+        if (session.start === null || session.start === undefined) return null;
+
+        const minutesUntil = date => Math.round((date - now) / 60000);
+        return {
+            startsIn: minutesUntil(this.toDate(session.date, session.start)),
+            endsIn: minutesUntil(this.toDate(session.date, session.end))
+        };
+    },
+
+    /**
+     * Format a number of minutes as a short duration (e.g., "25 min", "1 hr 5 min")
+     */
+    formatDuration(minutes) {
+        if (minutes < 60) return `${minutes} min`;
+
+        const hours = Math.floor(minutes / 60);
+        const mins = minutes % 60;
+        return mins > 0 ? `${hours} hr ${mins} min` : `${hours} hr`;
+    },
+
+    /**
+     * Get the city's web page for a rink
+     */
+    getRinkPageUrl(rinkId) {
+        return `${this.RINK_PAGE_BASE}/${rinkId}/index.html`;
+    },
+
+    /**
+     * Build a local Date from a YYYY-MM-DD string and minutes since midnight
+     */
+    toDate(dateStr, minutes) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+        return new Date(year, month - 1, day, 0, minutes);
+    },
+
+    /**
+     * Check if a coordinate is inside { south, west, north, east } bounds
+     */
+    isInBounds(lat, lng, bounds) {
+        return lat >= bounds.south && lat <= bounds.north && lng >= bounds.west && lng <= bounds.east;
     },
 
     /**
@@ -286,6 +1024,34 @@ const API = {
         return R * c;
     },
 
+    /**
+     * Estimate travel minutes for a straight-line distance in km, by TRAVEL_MODES key
+     */
+    estimateTravelMinutes(distance, mode = 'walk') {
+        const { speed, detour, overhead } = this.TRAVEL_MODES[mode] || this.TRAVEL_MODES.walk;
+        return Math.max(1, Math.round(overhead + (distance * detour / speed) * 60));
+    },
+
+    /**
+     * Format a rink's estimated travel time (e.g., "12 min walk"), or '' without a distance
+     */
+    formatTravelTime(rink, mode = 'walk') {
+        if (rink.distance === undefined) return '';
+        const { short } = this.TRAVEL_MODES[mode] || this.TRAVEL_MODES.walk;
+        return `${this.formatDuration(this.estimateTravelMinutes(rink.distance, mode))} ${short}`;
+    },
+
+    /**
+     * Check if a session can still be reached before it starts, leaving now.
+     * Only sessions yet to start are checked; ones in progress or over, or without
+     * a distance or time, always pass.
+     */
+    canReachInTime(item, mode = 'walk', now = new Date()) {
+        const timing = this.getSessionTiming(item.session, now);
+        if (!timing || timing.startsIn <= 0 || item.rink.distance === undefined) return true;
+        return timing.startsIn >= this.estimateTravelMinutes(item.rink.distance, mode);
+    },
+
     toRad(deg) {
         return deg * (Math.PI / 180);
     },
@@ -300,3 +1066,8 @@ const API = {
         return `${year}-${month}-${day}`;
     }
 };
+
+// Allow Node tools (tools/*.js) to reuse the API
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = API;
+}
@@ -7,6 +7,12 @@ const App = {
     sessions: [],     // Filtered sessions (by rink selection)
     rinks: [],
     isLoading: false,
+    isRefreshing: false,
+    loadCount: 0,     // Incremented per load so stale background refreshes are dropped
+    reloadPending: false, // A load was requested while another was running
+    reminderMinutes: 0,  // Reminder added to exported calendar events, 0 for none
+    travelMode: 'walk',  // API.TRAVEL_MODES key for travel time estimates
+    reachableOnly: true,  // Hide sessions that start before you could get there
 
     /**
      * Initialize the application
@@ -14,21 +20,149 @@ const App = {
     async init() {
         console.log('Toronto Free Skates - Initializing...');
 
+        this.registerServiceWorker();
+        this.loadDataSource();
+        this.loadProxyConfig();
+        this.loadReminder();
+        this.loadTravelPreferences();
+
         // Initialize modules
         await LocationManager.init();
         FilterSettings.init();
         RinkSelector.init();
+        SavedSearches.init();
         Views.initTabs();
+        Views.initModal();
 
         // Bind UI events
         this.bindEvents();
 
+        // Client-side routes (e.g., #/rink/<id>) load on their own while the sessions do
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+
         // Load initial data
         await this.loadSessions();
 
         console.log('Toronto Free Skates - Ready!');
     },
 
+    /**
+     * Show the page for the current #/rink/<id> or #/session/<key> route,
+     * or leave it when the route is gone
+     */
+    handleRoute() {
+        const rinkMatch = window.location.hash.match(/^#\/rink\/([^/]+)$/);
+        const sessionMatch = window.location.hash.match(/^#\/session\/([^/]+)$/);
+
+        let rinkId = null;
+        let sessionKey = null;
+        try {
+            rinkId = rinkMatch && decodeURIComponent(rinkMatch[1]);
+            sessionKey = sessionMatch && decodeURIComponent(sessionMatch[1]);
+        } catch {
+            // Malformed link (e.g. a bad % escape): fall back to the list
+            Views.switchView('list');
+            return;
+        }
+        const session = sessionKey && API.parseSessionKey(sessionKey);
+
+        if (rinkId) {
+            Views.showRinkPage(rinkId);
+        } else if (session) {
+            // A shared session opens its rink's page, scrolled to the session
+            Views.showRinkPage(session.rinkId, sessionKey);
+        } else if (Views.currentView === 'rink') {
+            Views.closeRinkPage();
+        }
+    },
+
+    /**
+     * Register the service worker for offline support
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.log('Service worker registration failed:', error.message);
+        });
+    },
+
+    /**
+     * Pick the data source - URL param takes priority, then localStorage
+     */
+    loadDataSource() {
+        const params = new URLSearchParams(window.location.search);
+        const source = params.get('source') || localStorage.getItem('skateFinderDataSource') || 'live';
+
+        API.setDataSource(source);
+        document.getElementById('dataSourceSelect').value = API.dataSource;
+    },
+
+    /**
+     * Load the saved proxy chain into the API and the Data settings inputs
+     */
+    loadProxyConfig() {
+        const stored = localStorage.getItem('skateFinderProxy');
+        if (stored) {
+            try {
+                API.setProxyConfig(JSON.parse(stored));
+            } catch {
+                // Keep API defaults
+            }
+        }
+
+        const chain = API.proxyConfig.chain;
+        document.getElementById('proxyChainInput').value = chain.length > 0 ? chain.join(', ') : 'none';
+        document.getElementById('proxyUrlInput').value = API.proxyConfig.customUrl;
+    },
+
+    /**
+     * Save proxy settings from the Data settings inputs and reload
+     */
+    saveProxyConfig() {
+        const chainStr = document.getElementById('proxyChainInput').value;
+        const customUrl = document.getElementById('proxyUrlInput').value.trim();
+
+        API.setProxyConfig({ chain: API.parseProxyChain(chainStr), customUrl });
+        localStorage.setItem('skateFinderProxy', JSON.stringify(API.proxyConfig));
+
+        this.loadProxyConfig();
+        this.loadSessions();
+    },
+
+    /**
+     * Load the travel mode and reachable-only preferences
+     */
+    loadTravelPreferences() {
+        const mode = localStorage.getItem('skateFinderTravelMode');
+        this.travelMode = API.TRAVEL_MODES[mode] ? mode : 'walk';
+        this.reachableOnly = localStorage.getItem('skateFinderReachableOnly') !== 'false';
+        document.getElementById('travelModeSelect').value = this.travelMode;
+        document.getElementById('reachableOnlyToggle').checked = this.reachableOnly;
+    },
+
+    /**
+     * Load the calendar reminder preference
+     */
+    loadReminder() {
+        const minutes = parseInt(localStorage.getItem('skateFinderReminder'), 10);
+        this.reminderMinutes = isNaN(minutes) ? 0 : minutes;
+        document.getElementById('reminderSelect').value = String(this.reminderMinutes);
+    },
+
+    /**
+     * Show the health of each proxy in the chain
+     */
+    updateProxyStatus() {
+        const statusEl = document.getElementById('proxyStatus');
+        const statuses = API.getProxyStatus();
+
+        statusEl.innerHTML = statuses.length > 0
+            ? statuses.map(p => `<div>${p.label}: ${p.status}</div>`).join('')
+            : '<div>No proxy: schedules load from cache only</div>';
+    },
+
     /**
      * Bind UI events
      */
@@ -36,6 +170,8 @@ const App = {
         // Mobile filter toggle
         const filterToggle = document.getElementById('filterToggle');
         const filterToggleMap = document.getElementById('filterToggleMap');
+        const filterToggleWeek = document.getElementById('filterToggleWeek');
+        const filterToggleNow = document.getElementById('filterToggleNow');
         const sidebar = document.getElementById('sidebar');
         const sidebarClose = document.getElementById('sidebarClose');
 
@@ -46,10 +182,55 @@ const App = {
 
         filterToggle.addEventListener('click', openSidebar);
         filterToggleMap.addEventListener('click', openSidebar);
+        filterToggleWeek.addEventListener('click', openSidebar);
+        filterToggleNow.addEventListener('click', openSidebar);
+
+        sidebarClose.addEventListener('click', () => this.closeSidebar());
+
+        // Data source
+        document.getElementById('dataSourceSelect').addEventListener('change', (e) => {
+            API.setDataSource(e.target.value);
+            localStorage.setItem('skateFinderDataSource', API.dataSource);
+            FilterSettings.updateURL();
+            this.loadSessions();
+        });
+
+        // Proxy settings
+        document.getElementById('proxyChainInput').addEventListener('change', () => this.saveProxyConfig());
+        document.getElementById('proxyUrlInput').addEventListener('change', () => this.saveProxyConfig());
 
-        sidebarClose.addEventListener('click', () => {
-            sidebar.classList.remove('open');
-            document.body.classList.remove('sidebar-open');
+        // Clear cached data
+        document.getElementById('clearCacheBtn').addEventListener('click', async () => {
+            await API.clearCache();
+            LocationManager.showToast('Cached data cleared');
+            this.loadSessions();
+        });
+
+        // Travel mode and reachable-only
+        document.getElementById('travelModeSelect').addEventListener('change', (e) => {
+            this.travelMode = e.target.value;
+            localStorage.setItem('skateFinderTravelMode', this.travelMode);
+            this.filterByRinks();
+        });
+
+        document.getElementById('reachableOnlyToggle').addEventListener('change', (e) => {
+            this.reachableOnly = e.target.checked;
+            localStorage.setItem('skateFinderReachableOnly', String(this.reachableOnly));
+            this.filterByRinks();
+        });
+
+        // Calendar reminder
+        document.getElementById('reminderSelect').addEventListener('change', (e) => {
+            this.reminderMinutes = parseInt(e.target.value, 10);
+            localStorage.setItem('skateFinderReminder', String(this.reminderMinutes));
+        });
+
+        // Calendar export and subscription
+        document.getElementById('exportAllBtn').addEventListener('click', () => {
+            Views.exportAllToCalendar(this.sessions);
+        });
+        document.getElementById('subscribeBtn').addEventListener('click', () => {
+            this.copySubscriptionURL();
         });
 
         // List sort buttons
@@ -62,13 +243,78 @@ const App = {
         });
     },
 
+    /**
+     * Build a calendar feed URL for the current filters and visible rinks.
+     * Feeds are served by tools/proxy-server.js, so this needs a valid self-hosted proxy URL.
+     */
+    getSubscriptionURL() {
+        if (!API.proxyConfig.customUrl) return null;
+
+        // Relative proxy URLs (e.g. /proxy/?url=) are relative to the app, as they are for fetch
+        let base;
+        try {
+            base = new URL(API.proxyConfig.customUrl, window.location.href);
+        } catch {
+            return null;
+        }
+
+        const visibleIds = RinkSelector.allRinks.map(rink => rink.id).filter(id => RinkSelector.isVisible(id));
+        const rinkIds = visibleIds.length < RinkSelector.allRinks.length ? visibleIds : null;
+        const params = FilterSettings.addDataSourceParam(FilterSettings.buildParams(FilterSettings.settings, rinkIds));
+
+        if (this.reminderMinutes > 0) {
+            params.set('reminder', this.reminderMinutes);
+        }
+
+        // The server needs the location to apply a distance filter
+        const location = LocationManager.getLocation();
+        if (location && !FilterSettings.settings.anyDistance) {
+            params.set('loc', LocationManager.formatForURL(location));
+        }
+
+        // The feed sits next to the proxy, so keep any path it's hosted under (e.g. https://host/skates/)
+        base.search = '';
+        if (!base.pathname.endsWith('/')) {
+            base.pathname += '/';
+        }
+
+        const feedUrl = new URL('calendar.ics', base);
+        feedUrl.search = params.toString();
+        return feedUrl.toString();
+    },
+
+    /**
+     * Copy the calendar feed URL so it can be added to a calendar app
+     */
+    copySubscriptionURL() {
+        const url = this.getSubscriptionURL();
+        if (!url) {
+            LocationManager.showToast('Set a valid self-hosted proxy URL in Data settings to subscribe');
+            return;
+        }
+        Views.copyLink(url, 'Calendar feed link copied');
+    },
+
+    /**
+     * Close the filters sidebar (mobile)
+     */
+    closeSidebar() {
+        document.getElementById('sidebar').classList.remove('open');
+        document.body.classList.remove('sidebar-open');
+    },
+
     /**
      * Load sessions from API
      */
     async loadSessions() {
-        if (this.isLoading) return;
+        // Run again once the current load finishes, so the latest filters and location win
+        if (this.isLoading) {
+            this.reloadPending = true;
+            return;
+        }
 
         this.isLoading = true;
+        this.loadCount++;
         this.showLoading(true);
 
         try {
@@ -88,6 +334,8 @@ const App = {
 
             // Apply rink filter
             this.filterByRinks();
+            this.updateCachedBanner();
+            this.updateProxyStatus();
 
             console.log(`Loaded ${sessions.length} sessions from ${rinks.length} rinks`);
         } catch (error) {
@@ -97,27 +345,108 @@ const App = {
             this.isLoading = false;
             this.showLoading(false);
         }
+
+        if (this.reloadPending) {
+            this.reloadPending = false;
+            this.loadSessions();
+            return;
+        }
+
+        // Cached data was shown instantly; fetch anything expired in the background
+        if (API.hasStaleData()) {
+            this.refreshInBackground();
+        }
     },
 
     /**
-     * Filter sessions by selected rinks
+     * Re-fetch expired cached data and update views without the loading indicator
      */
-    filterByRinks() {
-        const selectedIds = RinkSelector.getSelectedRinkIds();
-        const selectedSet = new Set(selectedIds);
+    async refreshInBackground() {
+        if (this.isRefreshing) return;
 
-        this.sessions = this.allSessions.filter(item => selectedSet.has(item.rink.id));
+        this.isRefreshing = true;
+        const loadCount = this.loadCount;
+
+        try {
+            const userLocation = LocationManager.getLocation();
+            const filters = FilterSettings.getFilters();
+            const { sessions, rinks } = await API.fetchAllSessions(userLocation, filters, { refresh: true });
+
+            // Filters changed while refreshing; that load already has the latest data
+            if (loadCount !== this.loadCount || this.isLoading) return;
+
+            this.allSessions = sessions;
+            this.rinks = rinks;
+            RinkSelector.setRinks(rinks);
+            this.filterByRinks();
+            this.updateCachedBanner();
+
+            console.log(`Refreshed ${sessions.length} sessions in the background`);
+        } catch (error) {
+            console.error('Error refreshing sessions:', error);
+        } finally {
+            this.isRefreshing = false;
+        }
+    },
+
+    /**
+     * Find a loaded session by its API.sessionKey
+     */
+    findSession(key) {
+        const matches = item => API.sessionKey(item) === key;
+
+        // The rink page shows sessions the filters may have left out
+        return this.allSessions.find(matches) ||
+            (Views.rinkPage && Views.rinkPage.sessions.find(matches)) ||
+            null;
+    },
+
+    /**
+     * Filter sessions by selected rinks (and favourites in favourites-only mode),
+     * hiding ones you can't reach in time if that's on
+     */
+    filterByRinks() {
+        const now = new Date();
+        this.sessions = this.allSessions.filter(item => this.isShown(item, now));
 
         // Update all views
         this.updateAllViews();
     },
 
+    /**
+     * Check if a session passes the rink and reachable-only filters at the given time
+     */
+    isShown(item, now) {
+        return RinkSelector.isVisible(item.rink.id) &&
+            (!this.reachableOnly || API.canReachInTime(item, this.travelMode, now));
+    },
+
+    /**
+     * Recheck which sessions you can still reach as time passes, re-rendering only
+     * if that changed. Returns whether it did.
+     */
+    refreshReachable() {
+        if (!this.reachableOnly) return false;
+
+        const now = new Date();
+        const sessions = this.allSessions.filter(item => this.isShown(item, now));
+        if (sessions.length === this.sessions.length && sessions.every((item, i) => item === this.sessions[i])) {
+            return false;
+        }
+
+        this.sessions = sessions;
+        this.updateAllViews();
+        return true;
+    },
+
     /**
      * Update all views
      */
     updateAllViews() {
         this.updateListView();
         this.updateMapView();
+        Views.renderWeekView(this.sessions);
+        Views.renderNowView(this.sessions);
         this.updateEmptyState();
     },
 
@@ -152,6 +481,8 @@ const App = {
             const selectedRinks = RinkSelector.getSelectedRinkIds().length;
             if (selectedRinks === 0) {
                 message.textContent = 'No rinks selected. Select rinks from the Filters menu.';
+            } else if (RinkSelector.favoritesOnly) {
+                message.textContent = 'No sessions at your favourite rinks. Star rinks in the Filters menu or turn off Favourites only.';
             } else if (FilterSettings.hasActiveFilters()) {
                 message.textContent = 'Try adjusting your filters or expanding your search distance.';
             } else {
@@ -162,6 +493,28 @@ const App = {
         }
     },
 
+    /**
+     * Show a banner when sessions come from the offline cache instead of the network
+     */
+    updateCachedBanner() {
+        const banner = document.getElementById('cachedBanner');
+        const cachedAt = API.getCachedDataTime();
+
+        if (cachedAt) {
+            const when = cachedAt.toLocaleString('en-US', {
+                weekday: 'short',
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            banner.textContent = `Offline: showing cached data from ${when}`;
+            banner.style.display = 'block';
+        } else {
+            banner.style.display = 'none';
+        }
+    },
+
     /**
      * Show/hide loading indicator
      */
@@ -0,0 +1,112 @@
+/**
+ * Data Cache for Toronto Free Skates
+ * Persists rinks and schedules in IndexedDB with a separate expiry for each kind of data
+ */
+
+const DataCache = {
+    DB_NAME: 'skateFinderCache',
+    DB_VERSION: 1,
+    STORE_NAME: 'entries',
+
+    // Time to live per kind of data, keyed by the prefix of the cache key
+    TTL: {
+        rinks: 7 * 24 * 60 * 60 * 1000,  // Rink locations rarely change
+        schedule: 6 * 60 * 60 * 1000     // Schedules change daily
+    },
+
+    dbPromise: null,
+
+    /**
+     * Check if IndexedDB is available (not in Node or some private browsing modes)
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    },
+
+    /**
+     * Open the database, creating the store on first use
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.STORE_NAME);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Let a later call retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    },
+
+    /**
+     * Run a request against the store and resolve with its result
+     */
+    async run(mode, makeRequest) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const store = db.transaction(this.STORE_NAME, mode).objectStore(this.STORE_NAME);
+            const request = makeRequest(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Get the TTL for a cache key such as "rinks" or "schedule:123"
+     */
+    getTTL(key) {
+        return this.TTL[key.split(':')[0]] || 0;
+    },
+
+    /**
+     * Get a cached entry as { value, storedAt, expired }, or null if missing
+     */
+    async get(key) {
+        try {
+            const entry = await this.run('readonly', store => store.get(key));
+            if (!entry) return null;
+
+            return {
+                value: entry.value,
+                storedAt: new Date(entry.storedAt),
+                expired: Date.now() - entry.storedAt > this.getTTL(key)
+            };
+        } catch (error) {
+            console.error('Cache read error:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Store a value under a cache key
+     */
+    async set(key, value) {
+        try {
+            await this.run('readwrite', store => store.put({ value, storedAt: Date.now() }, key));
+        } catch (error) {
+            console.error('Cache write error:', error);
+        }
+    },
+
+    /**
+     * Remove all cached entries
+     */
+    async clear() {
+        try {
+            await this.run('readwrite', store => store.clear());
+        } catch (error) {
+            console.error('Cache clear error:', error);
+        }
+    }
+};
@@ -0,0 +1,107 @@
+/**
+ * Calendar Links for Toronto Free Skates
+ * Builds pre-filled "add event" links for web calendars (Google, Outlook.com, Office 365)
+ */
+
+const CalendarLinks = {
+    GOOGLE_URL: 'https://calendar.google.com/calendar/render',
+
+    // Outlook.com and Office 365 share the same compose deeplink on different hosts
+    OUTLOOK_HOSTS: {
+        outlook: 'https://outlook.live.com',
+        office365: 'https://outlook.office.com'
+    },
+
+    /**
+     * Get the title, location and description for a { rink, session } item
+     */
+    getEventDetails(item) {
+        const { rink, session } = item;
+        const activityLabel = API.getActivityLabel(session.activityType);
+
+        return {
+            title: `${rink.name} - ${activityLabel}`,
+            location: `${rink.name}, ${rink.address}`,
+            description: [
+                session.activity || `${activityLabel} session`,
+                `${API.formatSessionTime(session)} · ${session.age}`,
+                rink.id !== undefined ? API.getRinkPageUrl(rink.id) : ''
+            ].filter(Boolean).join('\n')
+        };
+    },
+
+    /**
+     * Get Toronto's UTC offset (e.g., "-04:00") at a local date and time, using the
+     * same daylight saving rules as ICS.VTIMEZONE: 2am on the 2nd Sunday of March
+     * to 2am on the 1st Sunday of November
+     */
+    getTorontoOffset(dateStr, minutes) {
+        // Late sessions can roll over into the next day (or year)
+        const local = ICS.formatLocal(dateStr, minutes);
+        const year = Number(local.slice(0, 4));
+        const nthSunday = (month, n) => {
+            const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+            return 1 + ((7 - firstDay) % 7) + (n - 1) * 7;
+        };
+
+        const dstStart = `${year}03${String(nthSunday(2, 2)).padStart(2, '0')}T020000`;
+        const dstEnd = `${year}11${String(nthSunday(10, 1)).padStart(2, '0')}T020000`;
+
+        return local >= dstStart && local < dstEnd ? '-04:00' : '-05:00';
+    },
+
+    /**
+     * Format a local date and time as ISO 8601 with Toronto's offset (e.g., 2024-12-11T19:00:00-05:00)
+     */
+    formatISO(dateStr, minutes) {
+        const local = ICS.formatLocal(dateStr, minutes);
+        const iso = `${local.slice(0, 4)}-${local.slice(4, 6)}-${local.slice(6, 8)}T` +
+            `${local.slice(9, 11)}:${local.slice(11, 13)}:${local.slice(13, 15)}`;
+        return `${iso}${this.getTorontoOffset(dateStr, minutes)}`;
+    },
+
+    /**
+     * Build a query string with spaces as %20; Outlook shows "+" literally
+     */
+    buildQuery(params) {
+        return Object.entries(params)
+            .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+            .join('&');
+    },
+
+    /**
+     * Build a Google Calendar "add event" link
+     */
+    googleUrl(item) {
+        const { session } = item;
+        const details = this.getEventDetails(item);
+        const query = this.buildQuery({
+            action: 'TEMPLATE',
+            text: details.title,
+            // Local times, interpreted in ctz
+            dates: `${ICS.formatLocal(session.date, session.start)}/${ICS.formatLocal(session.date, session.end)}`,
+            ctz: ICS.TZID,
+            location: details.location,
+            details: details.description
+        });
+        return `${this.GOOGLE_URL}?${query}`;
+    },
+
+    /**
+     * Build an Outlook "add event" link; host is a key of OUTLOOK_HOSTS
+     */
+    outlookUrl(item, host = 'outlook') {
+        const { session } = item;
+        const details = this.getEventDetails(item);
+        const query = this.buildQuery({
+            path: '/calendar/action/compose',
+            rru: 'addevent',
+            subject: details.title,
+            startdt: this.formatISO(session.date, session.start),
+            enddt: this.formatISO(session.date, session.end),
+            location: details.location,
+            body: details.description
+        });
+        return `${this.OUTLOOK_HOSTS[host]}/calendar/0/deeplink/compose?${query}`;
+    }
+};
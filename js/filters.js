@@ -9,13 +9,33 @@ const FilterSettings = {
         anyDistance: true,
         dateFilter: 'any',
         selectedDate: null,
-        timeOfDay: 'all',
+        rangeStart: null,
+        rangeEnd: null,
+        timeStart: null,    // HH:MM, null for any time
+        timeEnd: null,
+        days: [],           // Day ids from API.DAYS_OF_WEEK, empty for every day
+        ages: [],           // Ages of everyone skating, empty to skip the eligibility check
+        bounds: null,       // Map area { south, west, north, east } from "Search this area"
         rinkType: '',
+        activityType: '',
         timeFilter: 'upcoming'
     },
 
     settings: {},
 
+    // Date filter modes: single days, range presets, a picked date and a custom range
+    DATE_FILTERS: ['any', 'today', 'tomorrow', 'weekend', 'week', 'month', 'pick', 'range'],
+
+    // URL params that carry a search (see readFromURL and buildParams)
+    URL_PARAMS: ['dist', 'date', 'pickDate', 'from', 'to', 'time', 'days', 'ages', 'type', 'activity', 'show', 'bbox', 'rinks'],
+
+    // Time-of-day presets as start-time windows (inclusive)
+    TIME_PRESETS: {
+        morning: { start: '00:00', end: '11:59' },
+        afternoon: { start: '12:00', end: '16:59' },
+        evening: { start: '17:00', end: '23:59' }
+    },
+
     /**
      * Initialize filter settings - URL params take priority, then localStorage
      */
@@ -30,7 +50,7 @@ const FilterSettings = {
             const stored = localStorage.getItem('skateFinderFilters');
             if (stored) {
                 try {
-                    this.settings = { ...this.defaults, ...JSON.parse(stored) };
+                    this.settings = this.migrate({ ...this.defaults, ...JSON.parse(stored) });
                 } catch {
                     this.settings = { ...this.defaults };
                 }
@@ -44,16 +64,68 @@ const FilterSettings = {
     },
 
     /**
-     * Read filter settings from URL params
+     * Convert settings saved by older versions
+     */
+    migrate(settings) {
+        // Time-of-day buckets became start-time windows
+        if ('timeOfDay' in settings) {
+            const preset = this.TIME_PRESETS[settings.timeOfDay];
+            if (preset && !settings.timeStart) {
+                settings.timeStart = preset.start;
+                settings.timeEnd = preset.end;
+            }
+            delete settings.timeOfDay;
+        }
+        return settings;
+    },
+
+    /**
+     * Parse a time window like "06:30-08:45" (or a preset name) to { start, end }, or null
      */
-    readFromURL() {
-        const params = new URLSearchParams(window.location.search);
+    parseTimeWindow(value) {
+        if (this.TIME_PRESETS[value]) {
+            return { ...this.TIME_PRESETS[value] };
+        }
+
+        const match = (value || '').match(/^(\d{2}:\d{2})-(\d{2}:\d{2})$/);
+        if (!match) return null;
+
+        const [, start, end] = match;
+        if (API.parseClock(start) === null || API.parseClock(end) === null) return null;
+        return { start, end };
+    },
+
+    /**
+     * Get the preset matching the current time window: 'all', a TIME_PRESETS key, or null if custom
+     */
+    getTimePreset() {
+        if (!this.settings.timeStart || !this.settings.timeEnd) return 'all';
+
+        const match = Object.entries(this.TIME_PRESETS).find(([, window]) =>
+            window.start === this.settings.timeStart && window.end === this.settings.timeEnd
+        );
+        return match ? match[0] : null;
+    },
+
+    /**
+     * Set the time window, or clear it with nulls
+     */
+    setTimeWindow(start, end) {
+        this.settings.timeStart = start;
+        this.settings.timeEnd = end;
+        this.updateTimeUI();
+        this.save();
+        this.triggerUpdate();
+    },
+
+    /**
+     * Read filter settings from URL params (defaults to the page URL)
+     */
+    readFromURL(search = window.location.search) {
+        const params = new URLSearchParams(search);
 
         // Check if any filter params exist
-        const hasParams = params.has('dist') || params.has('date') ||
-                         params.has('pickDate') || params.has('time') ||
-                         params.has('type') || params.has('show') ||
-                         params.has('rinks');
+        const hasParams = this.URL_PARAMS.some(key => params.has(key));
 
         if (!hasParams) return null;
 
@@ -72,7 +144,7 @@ const FilterSettings = {
         // Date filter
         if (params.has('date')) {
             const dateVal = params.get('date');
-            if (['any', 'today', 'tomorrow', 'pick'].includes(dateVal)) {
+            if (this.DATE_FILTERS.includes(dateVal)) {
                 settings.dateFilter = dateVal;
             }
         }
@@ -82,14 +154,38 @@ const FilterSettings = {
             settings.selectedDate = params.get('pickDate');
         }
 
-        // Time of day
+        // Custom range (for range mode)
+        const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+        if (isDate(params.get('from')) && isDate(params.get('to'))) {
+            const [start, end] = [params.get('from'), params.get('to')].sort();
+            settings.rangeStart = start;
+            settings.rangeEnd = end;
+        }
+
+        // Time of day window (HH:MM-HH:MM, or a preset name from older links)
         if (params.has('time')) {
-            const timeVal = params.get('time');
-            if (['all', 'morning', 'afternoon', 'evening'].includes(timeVal)) {
-                settings.timeOfDay = timeVal;
+            const window = this.parseTimeWindow(params.get('time'));
+            if (window) {
+                settings.timeStart = window.start;
+                settings.timeEnd = window.end;
             }
         }
 
+        // Days of the week (e.g., "tue,sat,sun")
+        if (params.has('days')) {
+            settings.days = this.parseDays(params.get('days'));
+        }
+
+        // Ages of the people skating (e.g., "38,7,3")
+        if (params.has('ages')) {
+            settings.ages = this.parseAges(params.get('ages'));
+        }
+
+        // Map area (west,south,east,north)
+        if (params.has('bbox')) {
+            settings.bounds = this.parseBounds(params.get('bbox'));
+        }
+
         // Rink type
         if (params.has('type')) {
             const typeVal = params.get('type');
@@ -98,6 +194,14 @@ const FilterSettings = {
             }
         }
 
+        // Activity type
+        if (params.has('activity')) {
+            const activityVal = params.get('activity');
+            if (activityVal === '' || API.ACTIVITY_TYPES.some(t => t.id === activityVal)) {
+                settings.activityType = activityVal;
+            }
+        }
+
         // Session filter (upcoming/all/past)
         if (params.has('show')) {
             const showVal = params.get('show');
@@ -110,54 +214,157 @@ const FilterSettings = {
     },
 
     /**
-     * Update URL with current filter settings
+     * Parse a comma-separated list of day ids, dropping unknown ones and keeping week order
      */
-    updateURL() {
+    parseDays(value) {
+        const days = (value || '').toLowerCase().split(',');
+        return API.DAYS_OF_WEEK.filter(day => days.includes(day));
+    },
+
+    /**
+     * Parse a comma or space separated list of ages, dropping anything that isn't a whole number
+     */
+    parseAges(value) {
+        return (value || '')
+            .split(/[\s,]+/)
+            .filter(age => /^\d{1,3}$/.test(age))
+            .map(age => parseInt(age, 10));
+    },
+
+    /**
+     * Parse a "west,south,east,north" bounding box, or null if invalid
+     */
+    parseBounds(value) {
+        const [west, south, east, north] = (value || '').split(',').map(parseFloat);
+        if ([west, south, east, north].some(isNaN) || south >= north || west >= east) {
+            return null;
+        }
+        return { south, west, north, east };
+    },
+
+    /**
+     * Format bounds as a "west,south,east,north" bounding box
+     */
+    formatBounds(bounds) {
+        return [bounds.west, bounds.south, bounds.east, bounds.north].map(n => n.toFixed(5)).join(',');
+    },
+
+    /**
+     * Limit the search to a map area, or clear it with null
+     */
+    setBounds(bounds) {
+        this.settings.bounds = bounds;
+        this.save();
+        this.triggerUpdate();
+    },
+
+    /**
+     * Build URL params for a search. Rink ids are only added when given (null means all rinks).
+     */
+    buildParams(settings = this.settings, rinkIds = null) {
         const params = new URLSearchParams();
 
         // Distance: anyDist and dist are mutually exclusive
         // Default is anyDistance=true, so only add params when not default
-        if (this.settings.anyDistance) {
+        if (settings.anyDistance) {
             // Any distance is default, no param needed
         } else {
             // Specific distance - add dist param (anyDist=0 implied)
-            params.set('dist', this.settings.maxDistance);
+            params.set('dist', settings.maxDistance);
+        }
+        if (settings.dateFilter !== this.defaults.dateFilter) {
+            params.set('date', settings.dateFilter);
+        }
+        if (settings.selectedDate) {
+            params.set('pickDate', settings.selectedDate);
+        }
+        if (settings.rangeStart && settings.rangeEnd) {
+            params.set('from', settings.rangeStart);
+            params.set('to', settings.rangeEnd);
         }
-        if (this.settings.dateFilter !== this.defaults.dateFilter) {
-            params.set('date', this.settings.dateFilter);
+        if (settings.timeStart && settings.timeEnd) {
+            params.set('time', `${settings.timeStart}-${settings.timeEnd}`);
         }
-        if (this.settings.selectedDate) {
-            params.set('pickDate', this.settings.selectedDate);
+        if (settings.days.length > 0) {
+            params.set('days', settings.days.join(','));
         }
-        if (this.settings.timeOfDay !== this.defaults.timeOfDay) {
-            params.set('time', this.settings.timeOfDay);
+        if (settings.ages.length > 0) {
+            params.set('ages', settings.ages.join(','));
         }
-        if (this.settings.rinkType !== this.defaults.rinkType) {
-            params.set('type', this.settings.rinkType);
+        if (settings.bounds) {
+            params.set('bbox', this.formatBounds(settings.bounds));
+        }
+        if (settings.rinkType !== this.defaults.rinkType) {
+            params.set('type', settings.rinkType);
+        }
+        if (settings.activityType !== this.defaults.activityType) {
+            params.set('activity', settings.activityType);
+        }
+        if (settings.timeFilter !== this.defaults.timeFilter) {
+            params.set('show', settings.timeFilter);
+        }
+
+        if (rinkIds && rinkIds.length > 0) {
+            params.set('rinks', rinkIds.join(','));
         }
-        if (this.settings.timeFilter !== this.defaults.timeFilter) {
-            params.set('show', this.settings.timeFilter);
+
+        return params;
+    },
+
+    /**
+     * Add the data source when it isn't the default, so fixture links stay on fixtures.
+     * Only for links about the current view; saved searches don't store a source.
+     */
+    addDataSourceParam(params) {
+        if (API.dataSource !== 'live') {
+            params.set('source', API.dataSource);
         }
+        return params;
+    },
 
+    /**
+     * Update URL with current filter settings
+     */
+    updateURL() {
         // Add rink selections if not all selected
-        if (window.RinkSelector) {
-            const selectedIds = RinkSelector.getSelectedRinkIds();
-            const allIds = RinkSelector.allRinks.map(r => r.id);
+        const selectedIds = typeof RinkSelector !== 'undefined' ? RinkSelector.getPartialSelection() : null;
+        const params = this.addDataSourceParam(this.buildParams(this.settings, selectedIds));
 
-            // Only add to URL if not all rinks are selected
-            if (selectedIds.length > 0 && selectedIds.length < allIds.length) {
-                params.set('rinks', selectedIds.join(','));
-            }
+        // Keep a shared link's location until the user chooses their own
+        const urlLocation = typeof LocationManager !== 'undefined' ? LocationManager.urlLocation : null;
+        if (urlLocation) {
+            params.set('loc', LocationManager.formatForURL(urlLocation));
         }
 
-        // Update URL without reload
+        // Update URL without reload, keeping any #/rink/<id> route
         const newURL = params.toString()
-            ? `${window.location.pathname}?${params.toString()}`
-            : window.location.pathname;
+            ? `${window.location.pathname}?${params.toString()}${window.location.hash}`
+            : `${window.location.pathname}${window.location.hash}`;
 
         window.history.replaceState({}, '', newURL);
     },
 
+    /**
+     * Switch to a custom date range (e.g., from the week view) and refresh
+     */
+    setDateRange(start, end) {
+        this.settings.dateFilter = 'range';
+        this.settings.rangeStart = start;
+        this.settings.rangeEnd = end;
+        this.updateUI();
+        this.save();
+        this.triggerUpdate();
+    },
+
+    /**
+     * Replace all settings (e.g., from a saved search) and refresh the UI
+     */
+    applySettings(settings) {
+        this.settings = this.migrate({ ...this.defaults, ...settings });
+        this.updateUI();
+        this.save();
+    },
+
     /**
      * Bind UI elements to filter settings
      */
@@ -185,6 +392,9 @@ const FilterSettings = {
         // Date filter buttons
         const datePickerContainer = document.getElementById('datePickerContainer');
         const datePicker = document.getElementById('datePicker');
+        const dateRangeContainer = document.getElementById('dateRangeContainer');
+        const rangeStartPicker = document.getElementById('rangeStartPicker');
+        const rangeEndPicker = document.getElementById('rangeEndPicker');
 
         document.getElementById('dateFilterControl').querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -209,6 +419,23 @@ const FilterSettings = {
                     this.settings.selectedDate = null;
                 }
 
+                // Show/hide range pickers
+                if (value === 'range') {
+                    dateRangeContainer.style.display = 'flex';
+                    // Default to the next 7 days if no range selected
+                    if (!this.settings.rangeStart || !this.settings.rangeEnd) {
+                        const { start, end } = this.getPresetRange('week');
+                        this.settings.rangeStart = start;
+                        this.settings.rangeEnd = end;
+                        rangeStartPicker.value = start;
+                        rangeEndPicker.value = end;
+                    }
+                } else {
+                    dateRangeContainer.style.display = 'none';
+                    this.settings.rangeStart = null;
+                    this.settings.rangeEnd = null;
+                }
+
                 this.save();
                 this.triggerUpdate();
             });
@@ -220,11 +447,47 @@ const FilterSettings = {
             this.triggerUpdate();
         });
 
-        // Time of day filter buttons
+        const onRangeChange = () => {
+            if (!rangeStartPicker.value || !rangeEndPicker.value) return;
+
+            // Keep start <= end whichever picker moved
+            const [start, end] = [rangeStartPicker.value, rangeEndPicker.value].sort();
+            rangeStartPicker.value = start;
+            rangeEndPicker.value = end;
+            this.settings.rangeStart = start;
+            this.settings.rangeEnd = end;
+            this.save();
+            this.triggerUpdate();
+        };
+        rangeStartPicker.addEventListener('change', onRangeChange);
+        rangeEndPicker.addEventListener('change', onRangeChange);
+
+        // Time of day preset buttons fill in the window
         document.getElementById('timeOfDayControl').querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const preset = this.TIME_PRESETS[e.target.dataset.value];
+                this.setTimeWindow(preset ? preset.start : null, preset ? preset.end : null);
+            });
+        });
+
+        // Custom time window
+        const timeStartInput = document.getElementById('timeStartInput');
+        const timeEndInput = document.getElementById('timeEndInput');
+        const onTimeChange = () => {
+            if (!timeStartInput.value && !timeEndInput.value) {
+                this.setTimeWindow(null, null);
+            } else if (timeStartInput.value && timeEndInput.value) {
+                this.setTimeWindow(timeStartInput.value, timeEndInput.value);
+            }
+        };
+        timeStartInput.addEventListener('change', onTimeChange);
+        timeEndInput.addEventListener('change', onTimeChange);
+
+        // Rink type filter buttons
+        document.getElementById('rinkTypeControl').querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const value = e.target.dataset.value;
-                this.settings.timeOfDay = value;
+                this.settings.rinkType = value;
 
                 // Update active state
                 e.target.parentElement.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
@@ -235,11 +498,39 @@ const FilterSettings = {
             });
         });
 
-        // Rink type filter buttons
-        document.getElementById('rinkTypeControl').querySelectorAll('.filter-btn').forEach(btn => {
+        // Day of week buttons - multi-select, "Any" clears the selection
+        document.getElementById('dayOfWeekControl').querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const day = e.target.dataset.value;
+
+                if (!day) {
+                    this.settings.days = [];
+                } else if (this.settings.days.includes(day)) {
+                    this.settings.days = this.settings.days.filter(d => d !== day);
+                } else {
+                    this.settings.days = this.parseDays([...this.settings.days, day].join(','));
+                }
+
+                this.updateDaysUI();
+                this.save();
+                this.triggerUpdate();
+            });
+        });
+
+        // Who's skating
+        const skaterAgesInput = document.getElementById('skaterAgesInput');
+        skaterAgesInput.addEventListener('change', () => {
+            this.settings.ages = this.parseAges(skaterAgesInput.value);
+            skaterAgesInput.value = this.settings.ages.join(', ');
+            this.save();
+            this.triggerUpdate();
+        });
+
+        // Activity type filter buttons
+        document.getElementById('activityTypeControl').querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
                 const value = e.target.dataset.value;
-                this.settings.rinkType = value;
+                this.settings.activityType = value;
 
                 // Update active state
                 e.target.parentElement.querySelectorAll('.filter-btn').forEach(b => b.classList.remove('active'));
@@ -297,22 +588,63 @@ const FilterSettings = {
             datePickerContainer.style.display = 'none';
         }
 
+        const dateRangeContainer = document.getElementById('dateRangeContainer');
+        if (this.settings.dateFilter === 'range') {
+            dateRangeContainer.style.display = 'flex';
+            document.getElementById('rangeStartPicker').value = this.settings.rangeStart || '';
+            document.getElementById('rangeEndPicker').value = this.settings.rangeEnd || '';
+        } else {
+            dateRangeContainer.style.display = 'none';
+        }
+
         // Time of day
-        document.getElementById('timeOfDayControl').querySelectorAll('.filter-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.value === this.settings.timeOfDay);
-        });
+        this.updateTimeUI();
+
+        // Days of the week
+        this.updateDaysUI();
+
+        // Who's skating
+        document.getElementById('skaterAgesInput').value = this.settings.ages.join(', ');
 
         // Rink type
         document.getElementById('rinkTypeControl').querySelectorAll('.filter-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.value === this.settings.rinkType);
         });
 
+        // Activity type
+        document.getElementById('activityTypeControl').querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === this.settings.activityType);
+        });
+
         // Time filter
         document.getElementById('timeFilterControl').querySelectorAll('.filter-btn').forEach(btn => {
             btn.classList.toggle('active', btn.dataset.value === this.settings.timeFilter);
         });
     },
 
+    /**
+     * Update the time window inputs and highlight the matching preset
+     */
+    updateTimeUI() {
+        const preset = this.getTimePreset();
+        document.getElementById('timeOfDayControl').querySelectorAll('.filter-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.value === preset);
+        });
+
+        document.getElementById('timeStartInput').value = this.settings.timeStart || '';
+        document.getElementById('timeEndInput').value = this.settings.timeEnd || '';
+    },
+
+    /**
+     * Highlight the selected days, or "Any" when none are selected
+     */
+    updateDaysUI() {
+        document.getElementById('dayOfWeekControl').querySelectorAll('.filter-btn').forEach(btn => {
+            const day = btn.dataset.value;
+            btn.classList.toggle('active', day ? this.settings.days.includes(day) : this.settings.days.length === 0);
+        });
+    },
+
     /**
      * Save settings to localStorage and update URL
      */
@@ -332,38 +664,79 @@ const FilterSettings = {
     },
 
     /**
-     * Get the date string for filtering based on current settings
+     * Get the { start, end } dates (YYYY-MM-DD, inclusive) for a range preset
      */
-    getFilterDate() {
-        if (this.settings.dateFilter === 'any') {
-            return null;
+    getPresetRange(preset, now = new Date()) {
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        const addDays = (date, days) => {
+            const result = new Date(date);
+            result.setDate(result.getDate() + days);
+            return result;
+        };
+
+        let start = today;
+        let end = today;
+
+        if (preset === 'tomorrow') {
+            start = end = addDays(today, 1);
+        } else if (preset === 'weekend') {
+            // Saturday and Sunday; on Sunday that's just today
+            const day = today.getDay();
+            if (day === 0) {
+                start = end = today;
+            } else {
+                start = addDays(today, 6 - day);
+                end = addDays(start, 1);
+            }
+        } else if (preset === 'week') {
+            end = addDays(today, 6);
+        } else if (preset === 'month') {
+            end = new Date(today.getFullYear(), today.getMonth() + 1, 0);
         }
-        if (this.settings.dateFilter === 'today') {
-            return this.formatDate(new Date());
+
+        return { start: this.formatDate(start), end: this.formatDate(end) };
+    },
+
+    /**
+     * Get the { start, end } dates for filtering based on settings (current by default), or null for any date
+     */
+    getDateRange(settings = this.settings) {
+        const mode = settings.dateFilter;
+
+        if (['today', 'tomorrow', 'weekend', 'week', 'month'].includes(mode)) {
+            return this.getPresetRange(mode);
         }
-        if (this.settings.dateFilter === 'tomorrow') {
-            const tomorrow = new Date();
-            tomorrow.setDate(tomorrow.getDate() + 1);
-            return this.formatDate(tomorrow);
+        if (mode === 'pick' && settings.selectedDate) {
+            return { start: settings.selectedDate, end: settings.selectedDate };
         }
-        if (this.settings.dateFilter === 'pick' && this.settings.selectedDate) {
-            return this.settings.selectedDate;
+        if (mode === 'range' && settings.rangeStart && settings.rangeEnd) {
+            return { start: settings.rangeStart, end: settings.rangeEnd };
         }
         return null;
     },
 
     /**
-     * Get current filter settings for API
+     * Get filters for the API from settings (current by default)
      */
-    getFilters() {
+    getFilters(settings = this.settings) {
+        const dateRange = this.getDateRange(settings);
+
         return {
-            maxDistance: this.settings.maxDistance,
-            anyDistance: this.settings.anyDistance,
-            dateFilter: this.settings.dateFilter,
-            filterDate: this.getFilterDate(),
-            timeOfDay: this.settings.timeOfDay,
-            rinkType: this.settings.rinkType,
-            timeFilter: this.settings.timeFilter
+            maxDistance: settings.maxDistance,
+            anyDistance: settings.anyDistance,
+            dateFilter: settings.dateFilter,
+            dateFrom: dateRange ? dateRange.start : null,
+            dateTo: dateRange ? dateRange.end : null,
+            timeStart: settings.timeStart,
+            timeEnd: settings.timeEnd,
+            days: settings.days,
+            ages: settings.ages,
+            bounds: settings.bounds,
+            rinkType: settings.rinkType,
+            activityType: settings.activityType,
+            timeFilter: settings.timeFilter
         };
     },
 
@@ -384,9 +757,19 @@ const FilterSettings = {
             this.settings.maxDistance !== this.defaults.maxDistance ||
             this.settings.anyDistance !== this.defaults.anyDistance ||
             this.settings.dateFilter !== this.defaults.dateFilter ||
-            this.settings.timeOfDay !== this.defaults.timeOfDay ||
+            this.settings.timeStart !== this.defaults.timeStart ||
+            this.settings.timeEnd !== this.defaults.timeEnd ||
+            this.settings.days.length > 0 ||
+            this.settings.ages.length > 0 ||
+            this.settings.bounds !== this.defaults.bounds ||
             this.settings.rinkType !== this.defaults.rinkType ||
+            this.settings.activityType !== this.defaults.activityType ||
             this.settings.timeFilter !== this.defaults.timeFilter
         );
     }
 };
+
+// Allow Node tools (tools/*.js) to reuse URL param parsing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterSettings;
+}
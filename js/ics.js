@@ -0,0 +1,185 @@
+/**
+ * ICS Builder for Toronto Free Skates
+ * Builds RFC 5545 iCalendar files from sessions, for browser downloads, the CLI and the feed server
+ */
+
+const ICS = {
+    PRODID: '-//Toronto Free Skates//EN',
+    UID_DOMAIN: 'torontofreeskates',
+    TZID: 'America/Toronto',
+
+    // Eastern time rules since 2007; session times are local wall-clock times in this zone
+    VTIMEZONE: [
+        'BEGIN:VTIMEZONE',
+        'TZID:America/Toronto',
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:-0500',
+        'TZOFFSETTO:-0400',
+        'TZNAME:EDT',
+        'DTSTART:20070311T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:-0400',
+        'TZOFFSETTO:-0500',
+        'TZNAME:EST',
+        'DTSTART:20071104T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ],
+
+    MAX_LINE_OCTETS: 75,
+
+    /**
+     * Format a Date as an ICS UTC timestamp (e.g., 20241211T190000Z)
+     */
+    formatDate(date) {
+        return date.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+    },
+
+    /**
+     * Format a YYYY-MM-DD date and minutes since midnight as a floating local time
+     * (e.g., 20241211T190000). Minutes past 1440 roll over to the next day.
+     */
+    formatLocal(dateStr, minutes) {
+        const [year, month, day] = dateStr.split('-').map(Number);
+
+        // UTC arithmetic keeps the wall-clock time independent of the browser's timezone
+        const date = new Date(Date.UTC(year, month - 1, day, 0, minutes));
+        return date.toISOString().replace(/[-:]/g, '').split('.')[0];
+    },
+
+    /**
+     * Escape a TEXT value (backslashes, semicolons, commas and newlines)
+     */
+    escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    },
+
+    /**
+     * Fold a content line into 75-octet chunks, continuing with a leading space
+     */
+    foldLine(line) {
+        const encoder = new TextEncoder();
+        if (encoder.encode(line).length <= this.MAX_LINE_OCTETS) {
+            return line;
+        }
+
+        const chunks = [];
+        let chunk = '';
+        let octets = 0;
+
+        // Iterate by code point so multi-byte characters are never split
+        for (const char of line) {
+            const size = encoder.encode(char).length;
+            // Continuation lines lose one octet to the leading space
+            const limit = chunks.length === 0 ? this.MAX_LINE_OCTETS : this.MAX_LINE_OCTETS - 1;
+            if (octets + size > limit) {
+                chunks.push(chunk);
+                chunk = '';
+                octets = 0;
+            }
+            chunk += char;
+            octets += size;
+        }
+        chunks.push(chunk);
+
+        return chunks.join('\r\n ');
+    },
+
+    /**
+     * Build the VALARM lines for a reminder some minutes before the start
+     */
+    buildAlarm(minutes, summary) {
+        return [
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${this.escapeText(summary)}`,
+            `TRIGGER:-PT${minutes}M`,
+            'END:VALARM'
+        ];
+    },
+
+    /**
+     * Build the VEVENT lines for a { rink, session } item
+     * options.reminderMinutes adds a reminder that many minutes before the start
+     */
+    buildEvent(item, options = {}) {
+        const { rink, session } = item;
+        const activityLabel = API.getActivityLabel(session.activityType);
+        const summary = `${rink.name} - ${activityLabel}`;
+        const description = [session.activity || `${activityLabel} session`, session.age].filter(Boolean).join('\n');
+
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${API.sessionKey(item)}@${this.UID_DOMAIN}`,
+            `DTSTAMP:${this.formatDate(new Date())}`,
+            `DTSTART;TZID=${this.TZID}:${this.formatLocal(session.date, session.start)}`,
+            `DTEND;TZID=${this.TZID}:${this.formatLocal(session.date, session.end)}`,
+            `SUMMARY:${this.escapeText(summary)}`,
+            `LOCATION:${this.escapeText(rink.address)}`,
+            `DESCRIPTION:${this.escapeText(description)}`
+        ];
+
+        if (typeof rink.lat === 'number' && typeof rink.lng === 'number') {
+            lines.push(`GEO:${rink.lat.toFixed(6)};${rink.lng.toFixed(6)}`);
+        }
+        if (rink.id !== undefined) {
+            lines.push(`URL:${API.getRinkPageUrl(rink.id)}`);
+        }
+        if (options.reminderMinutes > 0) {
+            lines.push(...this.buildAlarm(options.reminderMinutes, summary));
+        }
+
+        lines.push('END:VEVENT');
+        return lines;
+    },
+
+    /**
+     * Build a calendar containing one event per item, skipping sessions without a parsed time.
+     * options.name sets the calendar's display name; options.refreshInterval (an ISO duration
+     * like "PT6H") tells subscribed calendar apps how often to re-fetch a feed;
+     * options.reminderMinutes adds a reminder to every event.
+     */
+    buildCalendar(items, options = {}) {
+        const events = items
+            .filter(item => item.session.start !== null)
+            .flatMap(item => this.buildEvent(item, options));
+
+        const properties = [];
+        if (options.name) {
+            properties.push(`X-WR-CALNAME:${this.escapeText(options.name)}`);
+        }
+        if (options.refreshInterval) {
+            properties.push(
+                `REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`,
+                `X-PUBLISHED-TTL:${options.refreshInterval}`
+            );
+        }
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${this.PRODID}`,
+            'CALSCALE:GREGORIAN',
+            `X-WR-TIMEZONE:${this.TZID}`,
+            ...properties,
+            ...this.VTIMEZONE,
+            ...events,
+            'END:VCALENDAR'
+        ];
+
+        // RFC 5545 lines end with CRLF, including the last one
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+};
+
+// Allow Node tools (tools/*.js) to reuse the builder
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ICS;
+}
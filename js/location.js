@@ -1,12 +1,14 @@
 /**
  * Location Manager for Toronto Free Skates
- * Handles browser geolocation and address geocoding with autocomplete
+ * Handles browser geolocation, address geocoding with autocomplete and pins dropped on the map
  */
 
 const LocationManager = {
     userLocation: null,
     locationMode: 'auto', // 'auto' or 'manual'
     geocodeCache: new Map(),
+    STORAGE_KEY: 'skateFinderLocation',
+    urlLocation: null, // Location from a shared link's loc param, kept in the URL until replaced
 
     /**
      * Initialize location services
@@ -19,8 +21,15 @@ const LocationManager = {
         const addressInput = document.getElementById('addressInput');
         const suggestionsEl = document.getElementById('addressSuggestions');
 
-        // Try to get browser location
-        if ('geolocation' in navigator) {
+        // A shared link's location (loc=lat,lng) takes priority, then one the user chose, then the browser's
+        const urlLocation = this.readFromURL();
+        const storedLocation = this.loadStoredLocation();
+        if (urlLocation) {
+            this.urlLocation = urlLocation;
+            this.setLocation(urlLocation, '', false);
+        } else if (storedLocation) {
+            this.setLocation(storedLocation, storedLocation.label, false);
+        } else if ('geolocation' in navigator) {
             try {
                 const position = await this.getCurrentPosition();
                 this.userLocation = {
@@ -56,6 +65,12 @@ const LocationManager = {
             }
         });
 
+        // Pick on map
+        document.getElementById('pickOnMapBtn').addEventListener('click', () => {
+            App.closeSidebar();
+            Views.startLocationPick();
+        });
+
         // Address input with autocomplete
         let debounceTimer;
         addressInput.addEventListener('input', (e) => {
@@ -91,6 +106,113 @@ const LocationManager = {
         });
     },
 
+    /**
+     * Read a location from the loc=lat,lng URL param, or null
+     */
+    readFromURL(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        if (!params.has('loc')) return null;
+
+        const [lat, lng] = params.get('loc').split(',').map(parseFloat);
+        if (isNaN(lat) || isNaN(lng)) return null;
+        return { lat, lng };
+    },
+
+    /**
+     * Format a location as a loc URL param value
+     */
+    formatForURL(location) {
+        return `${location.lat.toFixed(5)},${location.lng.toFixed(5)}`;
+    },
+
+    /**
+     * Use a fixed location (a map pin, saved search, etc.), shown as a manual address.
+     * Unless save is false, it's kept across reloads.
+     */
+    setLocation(location, label = '', save = true) {
+        this.userLocation = { lat: location.lat, lng: location.lng };
+        this.showAddressInput();
+
+        const addressInput = document.getElementById('addressInput');
+        addressInput.value = label;
+        if (save) {
+            this.saveLocation(label);
+        }
+
+        if (!label) {
+            this.reverseGeocode(location.lat, location.lng).then(address => {
+                // Skip if the location changed or the user typed something meanwhile
+                if (!address || addressInput.value || this.userLocation.lat !== location.lat || this.userLocation.lng !== location.lng) {
+                    return;
+                }
+                addressInput.value = address;
+                if (save) {
+                    this.saveLocation(address);
+                }
+            });
+        }
+    },
+
+    /**
+     * Move the search location (e.g., by dragging the map marker), saving it and refreshing like a filter change
+     */
+    changeLocation(location, label = '') {
+        this.setLocation(location, label);
+        FilterSettings.updateURL();
+        FilterSettings.triggerUpdate();
+    },
+
+    /**
+     * Load the location the user last chose, or null
+     */
+    loadStoredLocation() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        if (!stored) return null;
+
+        try {
+            const location = JSON.parse(stored);
+            return typeof location.lat === 'number' && typeof location.lng === 'number' ? location : null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Keep the current location across reloads
+     */
+    saveLocation(label = '') {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ ...this.userLocation, label }));
+        this.dropURLLocation();
+    },
+
+    /**
+     * Forget the chosen location, going back to the browser's
+     */
+    clearStoredLocation() {
+        localStorage.removeItem(this.STORAGE_KEY);
+        this.dropURLLocation();
+    },
+
+    /**
+     * Stop writing the shared link's loc param once the user chooses another location
+     */
+    dropURLLocation() {
+        if (!this.urlLocation) return;
+
+        this.urlLocation = null;
+        FilterSettings.updateURL();
+    },
+
+    /**
+     * Get a short description of the current location for display
+     */
+    getLocationLabel() {
+        if (!this.userLocation) return '';
+        return this.locationMode === 'manual'
+            ? document.getElementById('addressInput').value
+            : document.getElementById('locationText').textContent;
+    },
+
     /**
      * Get current position as a Promise
      */
@@ -131,6 +253,7 @@ const LocationManager = {
         textEl.textContent = 'Detecting location...';
         statusEl.style.display = 'flex';
         addressContainer.style.display = 'none';
+        this.clearStoredLocation();
 
         try {
             const position = await this.getCurrentPosition();
@@ -233,6 +356,7 @@ const LocationManager = {
         this.userLocation = { lat, lng };
         addressInput.value = item.querySelector('.main-text').textContent;
         suggestionsEl.classList.remove('active');
+        this.saveLocation(addressInput.value);
 
         // Show toast
         this.showToast(`Location set to ${item.querySelector('.main-text').textContent}`);
@@ -314,3 +438,8 @@ const LocationManager = {
         setTimeout(() => toast.remove(), 3000);
     }
 };
+
+// Allow Node tools (tools/*.js) to reuse loc param parsing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocationManager;
+}
@@ -1,11 +1,14 @@
 /**
  * Rink Selector for Toronto Free Skates
- * Manages rink selection with search, select all/none, and show more/less
+ * Manages rink selection with search, select all/none, and show more/less,
+ * plus favourite rinks that are kept separately from the selection
  */
 
 const RinkSelector = {
     allRinks: [],
     selectedRinkIds: new Set(),
+    favoriteIds: new Set(),
+    favoritesOnly: false,
     searchQuery: '',
     showAll: false,
     urlHasRinks: false,
@@ -16,6 +19,7 @@ const RinkSelector = {
      */
     init() {
         this.loadSelections();
+        this.loadFavorites();
         this.bindEvents();
     },
 
@@ -52,11 +56,35 @@ const RinkSelector = {
     saveSelections() {
         localStorage.setItem('skateFinderSelectedRinks', JSON.stringify([...this.selectedRinkIds]));
         // Update URL via FilterSettings
-        if (window.FilterSettings) {
+        if (typeof FilterSettings !== 'undefined') {
             FilterSettings.updateURL();
         }
     },
 
+    /**
+     * Load favourites and the favourites-only toggle from localStorage
+     */
+    loadFavorites() {
+        const stored = localStorage.getItem('skateFinderFavorites');
+        if (stored) {
+            try {
+                this.favoriteIds = new Set(JSON.parse(stored));
+            } catch {
+                this.favoriteIds = new Set();
+            }
+        }
+
+        this.favoritesOnly = localStorage.getItem('skateFinderFavoritesOnly') === 'true';
+        document.getElementById('favoritesOnlyToggle').checked = this.favoritesOnly;
+    },
+
+    /**
+     * Save favourites to localStorage
+     */
+    saveFavorites() {
+        localStorage.setItem('skateFinderFavorites', JSON.stringify([...this.favoriteIds]));
+    },
+
     /**
      * Bind UI events
      */
@@ -83,6 +111,30 @@ const RinkSelector = {
             this.showAll = !this.showAll;
             this.render();
         });
+
+        // Favourites only
+        document.getElementById('favoritesOnlyToggle').addEventListener('change', (e) => {
+            this.favoritesOnly = e.target.checked;
+            localStorage.setItem('skateFinderFavoritesOnly', String(this.favoritesOnly));
+            this.triggerUpdate();
+        });
+
+        // Favourites export/import
+        document.getElementById('exportFavorites').addEventListener('click', () => {
+            this.exportFavorites();
+        });
+
+        const importInput = document.getElementById('importFavoritesInput');
+        document.getElementById('importFavorites').addEventListener('click', () => {
+            importInput.click();
+        });
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files[0];
+            importInput.value = '';
+            if (file) {
+                this.importFavorites(await file.text());
+            }
+        });
     },
 
     /**
@@ -109,16 +161,16 @@ const RinkSelector = {
     },
 
     /**
-     * Get filtered rinks based on search query
+     * Get filtered rinks based on search query, favourites first
      */
     getFilteredRinks() {
-        if (!this.searchQuery) {
-            return this.allRinks;
-        }
-        return this.allRinks.filter(rink =>
+        const rinks = !this.searchQuery ? this.allRinks : this.allRinks.filter(rink =>
             rink.name.toLowerCase().includes(this.searchQuery) ||
             rink.address.toLowerCase().includes(this.searchQuery)
         );
+
+        // Stable sort keeps name order within favourites and the rest
+        return [...rinks].sort((a, b) => this.isFavorite(b.id) - this.isFavorite(a.id));
     },
 
     /**
@@ -164,6 +216,92 @@ const RinkSelector = {
         return this.selectedRinkIds.has(rinkId);
     },
 
+    /**
+     * Check if a rink is a favourite
+     */
+    isFavorite(rinkId) {
+        return this.favoriteIds.has(rinkId);
+    },
+
+    /**
+     * Star or unstar a rink
+     */
+    toggleFavorite(rinkId) {
+        if (this.favoriteIds.has(rinkId)) {
+            this.favoriteIds.delete(rinkId);
+        } else {
+            this.favoriteIds.add(rinkId);
+        }
+        this.saveFavorites();
+        this.render();
+        this.triggerUpdate();
+    },
+
+    /**
+     * Check if a rink's sessions should be shown: selected, and a favourite in favourites-only mode
+     */
+    isVisible(rinkId) {
+        return this.isSelected(rinkId) && (!this.favoritesOnly || this.isFavorite(rinkId));
+    },
+
+    /**
+     * Download favourites as a JSON file
+     */
+    exportFavorites() {
+        const rinksById = new Map(this.allRinks.map(rink => [rink.id, rink]));
+        const data = {
+            favorites: [...this.favoriteIds].map(id => ({
+                id,
+                name: rinksById.has(id) ? rinksById.get(id).name : null
+            }))
+        };
+
+        Views.downloadFile(JSON.stringify(data, null, 2), 'skating-favourites.json', 'application/json');
+    },
+
+    /**
+     * Add favourites from exported JSON - either { favorites: [{ id }] } or a plain array of ids
+     */
+    importFavorites(json) {
+        let ids;
+        try {
+            const data = JSON.parse(json);
+            const list = Array.isArray(data) ? data : data.favorites;
+            ids = list.map(item => parseInt(typeof item === 'object' ? item.id : item, 10)).filter(id => !isNaN(id));
+        } catch {
+            LocationManager.showToast('Could not read favourites file');
+            return;
+        }
+
+        const before = this.favoriteIds.size;
+        ids.forEach(id => this.favoriteIds.add(id));
+        this.saveFavorites();
+        this.render();
+        this.triggerUpdate();
+
+        LocationManager.showToast(`Imported ${this.favoriteIds.size - before} new favourites`);
+    },
+
+    /**
+     * Get the selected rink IDs, or null when every rink is selected
+     */
+    getPartialSelection() {
+        const selectedIds = this.getSelectedRinkIds();
+        if (selectedIds.length === 0 || selectedIds.length >= this.allRinks.length) {
+            return null;
+        }
+        return selectedIds;
+    },
+
+    /**
+     * Replace the selection (e.g., from a saved search); null selects every rink
+     */
+    setSelection(rinkIds) {
+        this.selectedRinkIds = new Set(rinkIds || this.allRinks.map(rink => rink.id));
+        this.saveSelections();
+        this.render();
+    },
+
     /**
      * Get array of selected rink IDs
      */
@@ -207,6 +345,7 @@ const RinkSelector = {
                 <input type="checkbox" ${this.isSelected(rink.id) ? 'checked' : ''}>
                 <span class="rink-item-name">${rink.name}</span>
                 <span class="rink-item-type">${rink.type}</span>
+                <button class="favorite-btn ${this.isFavorite(rink.id) ? 'active' : ''}" aria-pressed="${this.isFavorite(rink.id)}" title="Favourite">${this.isFavorite(rink.id) ? '★' : '☆'}</button>
             </label>
         `).join('');
 
@@ -215,6 +354,12 @@ const RinkSelector = {
             const checkbox = item.querySelector('input[type="checkbox"]');
             const rinkId = parseInt(item.dataset.rinkId, 10);
 
+            item.querySelector('.favorite-btn').addEventListener('click', (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleFavorite(rinkId);
+            });
+
             item.addEventListener('click', (e) => {
                 if (e.target !== checkbox) {
                     checkbox.checked = !checkbox.checked;
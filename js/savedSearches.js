@@ -0,0 +1,180 @@
+/**
+ * Saved Searches for Toronto Free Skates
+ * Stores named filter settings, rink selections and locations for one-click switching
+ */
+
+const SavedSearches = {
+    searches: [],  // [{ id, name, settings, rinkIds (null for all), location ({ lat, lng, label } or null) }]
+    STORAGE_KEY: 'skateFinderSavedSearches',
+
+    /**
+     * Initialize saved searches
+     */
+    init() {
+        this.load();
+        this.bindEvents();
+        this.render();
+    },
+
+    /**
+     * Load saved searches from localStorage
+     */
+    load() {
+        const stored = localStorage.getItem(this.STORAGE_KEY);
+        if (stored) {
+            try {
+                this.searches = JSON.parse(stored);
+            } catch {
+                this.searches = [];
+            }
+        }
+    },
+
+    /**
+     * Save searches to localStorage
+     */
+    save() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.searches));
+    },
+
+    /**
+     * Bind UI events
+     */
+    bindEvents() {
+        document.getElementById('saveSearchBtn').addEventListener('click', () => {
+            const name = prompt('Name this search', this.suggestName());
+            if (name && name.trim()) {
+                this.add(name.trim());
+            }
+        });
+    },
+
+    /**
+     * Suggest a name from the current location
+     */
+    suggestName() {
+        const label = LocationManager.getLocationLabel();
+        return label ? `Near ${label}` : '';
+    },
+
+    /**
+     * Save the current filters, rink selection and location under a name
+     */
+    add(name) {
+        const location = LocationManager.getLocation();
+
+        this.searches.push({
+            id: Date.now().toString(36),
+            name,
+            settings: { ...FilterSettings.settings },
+            rinkIds: RinkSelector.getPartialSelection(),
+            location: location ? { ...location, label: LocationManager.getLocationLabel() } : null
+        });
+        this.save();
+        this.render();
+
+        LocationManager.showToast(`Saved "${name}"`);
+    },
+
+    /**
+     * Find a saved search by id
+     */
+    get(id) {
+        return this.searches.find(search => search.id === id);
+    },
+
+    /**
+     * Switch to a saved search
+     */
+    apply(id) {
+        const search = this.get(id);
+        if (!search) return;
+
+        FilterSettings.applySettings(search.settings);
+        RinkSelector.setSelection(search.rinkIds);
+        if (search.location) {
+            LocationManager.setLocation(search.location, search.location.label);
+        }
+
+        App.loadSessions();
+        LocationManager.showToast(`Showing "${search.name}"`);
+    },
+
+    /**
+     * Rename a saved search
+     */
+    rename(id) {
+        const search = this.get(id);
+        const name = search && prompt('Rename search', search.name);
+        if (!name || !name.trim()) return;
+
+        search.name = name.trim();
+        this.save();
+        this.render();
+    },
+
+    /**
+     * Delete a saved search
+     */
+    remove(id) {
+        const search = this.get(id);
+        if (!search || !confirm(`Delete "${search.name}"?`)) return;
+
+        this.searches = this.searches.filter(s => s.id !== id);
+        this.save();
+        this.render();
+    },
+
+    /**
+     * Build a link that opens the app with a saved search
+     */
+    getShareURL(search) {
+        const params = FilterSettings.buildParams({ ...FilterSettings.defaults, ...search.settings }, search.rinkIds);
+        if (search.location) {
+            params.set('loc', LocationManager.formatForURL(search.location));
+        }
+        return `${window.location.origin}${window.location.pathname}?${params.toString()}`;
+    },
+
+    /**
+     * Copy a saved search's link to the clipboard
+     */
+    async share(id) {
+        const search = this.get(id);
+        if (!search) return;
+
+        await Views.copyLink(this.getShareURL(search));
+    },
+
+    /**
+     * Render the saved search list
+     */
+    render() {
+        const listEl = document.getElementById('savedSearchList');
+
+        if (this.searches.length === 0) {
+            listEl.innerHTML = '<div class="saved-search-empty">No saved searches yet</div>';
+            return;
+        }
+
+        listEl.innerHTML = this.searches.map(search => `
+            <div class="saved-search-item" data-id="${search.id}">
+                <button class="saved-search-name" data-action="apply"></button>
+                <button class="text-btn" data-action="share">Share</button>
+                <button class="text-btn" data-action="rename">Rename</button>
+                <button class="text-btn" data-action="remove">Delete</button>
+            </div>
+        `).join('');
+
+        listEl.querySelectorAll('.saved-search-item').forEach(item => {
+            const id = item.dataset.id;
+
+            // Names are user input, so set them as text rather than HTML
+            item.querySelector('.saved-search-name').textContent = this.get(id).name;
+
+            item.querySelectorAll('[data-action]').forEach(btn => {
+                btn.addEventListener('click', () => this[btn.dataset.action](id));
+            });
+        });
+    }
+};
@@ -1,46 +1,137 @@
 /**
  * Views for Toronto Free Skates
- * Handles list and map view rendering
+ * Handles list, map, week, live "now" and rink page rendering
  */
 
 const Views = {
+    currentView: 'list',
+    returnView: 'list',     // View the rink page's back link returns to
+    rinkPage: null,         // { rink, sessions } shown on the rink page
     map: null,
-    markers: [],
+    markerCluster: null,    // Leaflet.markercluster group holding the rink markers
+    isFitting: false,       // True while the map moves on its own, so only user moves offer "Search this area"
     userMarker: null,
+    radiusCircle: null,     // maxDistance drawn around the user marker
+    radiusHandle: null,     // Draggable marker on the circle's edge
+    pickHandler: null,      // Map click handler while picking a location
+    pickKeyHandler: null,   // Escape handler while picking a location
+    weekStart: null,        // Monday (YYYY-MM-DD) shown in the week view
+    WEEK_HOUR_HEIGHT: 48,   // Pixels per hour in the week grid
+    nowWindowMinutes: 120,  // How far ahead the now view looks for sessions starting soon
+    nowTimer: null,
+    NOW_TICK: 60 * 1000,
 
     /**
      * Initialize view tabs
      */
     initTabs() {
-        // List view tabs
-        document.querySelectorAll('#viewTabs .sort-btn').forEach(tab => {
+        // Each view has its own copy of the tabs
+        document.querySelectorAll('.view-tabs .sort-btn').forEach(tab => {
             tab.addEventListener('click', () => {
                 const viewName = tab.dataset.view;
                 this.switchView(viewName);
             });
         });
 
-        // Map view tabs
-        document.querySelectorAll('#viewTabsMap .sort-btn').forEach(tab => {
-            tab.addEventListener('click', () => {
-                const viewName = tab.dataset.view;
-                this.switchView(viewName);
-            });
+        // Week navigation
+        document.getElementById('prevWeekBtn').addEventListener('click', () => this.shiftWeek(-1));
+        document.getElementById('nextWeekBtn').addEventListener('click', () => this.shiftWeek(1));
+        document.getElementById('thisWeekBtn').addEventListener('click', () => {
+            this.showWeek(this.getWeekStart(API.formatDate(new Date())));
+        });
+
+        // Now view window
+        const nowWindowSelect = document.getElementById('nowWindowSelect');
+        const storedWindow = parseInt(localStorage.getItem('skateFinderNowWindow'), 10);
+        if (!isNaN(storedWindow)) {
+            this.nowWindowMinutes = storedWindow;
+        }
+        nowWindowSelect.value = String(this.nowWindowMinutes);
+        nowWindowSelect.addEventListener('change', (e) => {
+            this.nowWindowMinutes = parseInt(e.target.value, 10);
+            localStorage.setItem('skateFinderNowWindow', String(this.nowWindowMinutes));
+            this.renderNowView(App.sessions);
+        });
+
+        clearInterval(this.nowTimer);
+        this.nowTimer = setInterval(() => this.tick(), this.NOW_TICK);
+    },
+
+    /**
+     * Every minute: hide sessions that are no longer reachable in time
+     * and move the now view's countdowns on
+     */
+    tick() {
+        if (!App.refreshReachable() && this.currentView === 'now') {
+            this.renderNowView(App.sessions);
+        }
+    },
+
+    /**
+     * Bind the shared modal's close button, backdrop and Escape key
+     */
+    initModal() {
+        const modal = document.getElementById('modal');
+
+        document.getElementById('modalClose').addEventListener('click', () => this.closeModal());
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.closeModal();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && modal.style.display !== 'none') {
+                this.closeModal();
+            }
         });
     },
 
+    /**
+     * Show the modal with a title and HTML content
+     */
+    openModal(title, html) {
+        document.getElementById('modalTitle').textContent = title;
+        document.getElementById('modalContent').innerHTML = html;
+        document.getElementById('modal').style.display = 'flex';
+        document.getElementById('modalClose').focus();
+    },
+
+    /**
+     * Hide the modal
+     */
+    closeModal() {
+        document.getElementById('modal').style.display = 'none';
+        document.getElementById('modalContent').innerHTML = '';
+    },
+
     /**
      * Switch to a view
      */
     switchView(viewName) {
-        // Update both tab groups
-        document.querySelectorAll('#viewTabs .sort-btn, #viewTabsMap .sort-btn').forEach(t => t.classList.remove('active'));
+        // Leaving the rink page drops its #/rink/<id> route
+        if (viewName !== 'rink' && window.location.hash) {
+            window.history.replaceState({}, '', `${window.location.pathname}${window.location.search}`);
+        }
+        this.currentView = viewName;
+
+        // Update all tab groups
+        document.querySelectorAll('.view-tabs .sort-btn').forEach(t => t.classList.remove('active'));
         document.querySelectorAll(`.sort-btn[data-view="${viewName}"]`).forEach(t => t.classList.add('active'));
 
         // Update views
         document.querySelectorAll('.view').forEach(v => v.classList.remove('active'));
         document.getElementById(`${viewName}View`).classList.add('active');
 
+        if (viewName === 'now') {
+            this.renderNowView(App.sessions);
+        }
+
+        // Open on the week the date filter starts in; only week navigation changes the filter
+        if (viewName === 'week') {
+            const range = FilterSettings.getDateRange();
+            this.showWeek(this.getWeekStart(range ? range.start : API.formatDate(new Date())), false);
+        }
+
         // Initialize map on first view
         if (viewName === 'map' && !this.map) {
             this.initMap();
@@ -68,6 +159,72 @@ const Views = {
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
         }).addTo(this.map);
+
+        // Nearby rinks merge into one marker; rinks at the same spot spiderfy at max zoom
+        this.markerCluster = L.markerClusterGroup({
+            maxClusterRadius: 40,
+            showCoverageOnHover: false,
+            spiderfyOnMaxZoom: true,
+            iconCreateFunction: cluster => this.createClusterIcon(cluster)
+        });
+        this.map.addLayer(this.markerCluster);
+
+        // Offer to search the visible area once the user pans or zooms
+        this.map.on('moveend', () => {
+            if (!this.isFitting) {
+                document.getElementById('searchAreaBtn').style.display = 'block';
+            }
+        });
+        document.getElementById('searchAreaBtn').addEventListener('click', () => {
+            const bounds = this.map.getBounds();
+            document.getElementById('searchAreaBtn').style.display = 'none';
+            FilterSettings.setBounds({
+                south: bounds.getSouth(),
+                west: bounds.getWest(),
+                north: bounds.getNorth(),
+                east: bounds.getEast()
+            });
+        });
+        document.getElementById('clearAreaBtn').addEventListener('click', () => {
+            FilterSettings.setBounds(null);
+        });
+
+        // A shared link's area is the starting view
+        const areaBounds = FilterSettings.settings.bounds;
+        if (areaBounds) {
+            this.fitMap([[areaBounds.south, areaBounds.west], [areaBounds.north, areaBounds.east]], { padding: [0, 0] });
+        }
+    },
+
+    /**
+     * Fit the map to bounds without it counting as a user move
+     */
+    fitMap(bounds, options = { padding: [50, 50] }) {
+        this.isFitting = true;
+        this.map.once('moveend', () => {
+            this.isFitting = false;
+        });
+        this.map.fitBounds(bounds, options);
+    },
+
+    /**
+     * Build a cluster marker showing the total sessions of the rinks inside it
+     */
+    createClusterIcon(cluster) {
+        const markers = cluster.getAllChildMarkers();
+        const sessionCount = markers.reduce((sum, marker) => sum + marker.options.sessionCount, 0);
+        const hasFavorite = markers.some(marker => marker.options.isFavorite);
+
+        return L.divIcon({
+            html: `
+                <div class="cluster-marker ${hasFavorite ? 'favorite' : ''}" title="${markers.length} rinks">
+                    ${sessionCount}
+                </div>
+            `,
+            className: 'custom-marker-container',
+            iconSize: [44, 44],
+            iconAnchor: [22, 22]
+        });
     },
 
     /**
@@ -95,6 +252,206 @@ const Views = {
         `).join('');
     },
 
+    /**
+     * Get the Monday on or before a YYYY-MM-DD date
+     */
+    getWeekStart(dateStr) {
+        const date = API.toDate(dateStr, 0);
+        const daysSinceMonday = (date.getDay() + 6) % 7;
+        return this.addDays(dateStr, -daysSinceMonday);
+    },
+
+    /**
+     * Add days to a YYYY-MM-DD date
+     */
+    addDays(dateStr, days) {
+        const date = API.toDate(dateStr, 0);
+        date.setDate(date.getDate() + days);
+        return API.formatDate(date);
+    },
+
+    /**
+     * Show a week (starting on weekStart), setting the date filter to it unless setFilter is false
+     */
+    showWeek(weekStart, setFilter = true) {
+        this.weekStart = weekStart;
+        const weekEnd = this.addDays(weekStart, 6);
+
+        const range = FilterSettings.getDateRange();
+        if (setFilter && (!range || range.start !== weekStart || range.end !== weekEnd)) {
+            FilterSettings.setDateRange(weekStart, weekEnd);
+        }
+        this.renderWeekView(App.sessions);
+    },
+
+    /**
+     * Move the week view forward or back by a number of weeks
+     */
+    shiftWeek(weeks) {
+        this.showWeek(this.addDays(this.weekStart, weeks * 7));
+    },
+
+    /**
+     * Render sessions for the current week as a 7-day grid with rows by time
+     */
+    renderWeekView(sessions) {
+        const container = document.getElementById('weekGrid');
+        if (!this.weekStart) return;
+
+        const days = Array.from({ length: 7 }, (_, i) => this.addDays(this.weekStart, i));
+        const today = API.formatDate(new Date());
+
+        const [startMonth, endMonth] = [days[0], days[6]].map(d =>
+            API.toDate(d, 0).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+        );
+        document.getElementById('weekLabel').textContent = `${startMonth} – ${endMonth}`;
+
+        const items = sessions.filter(item => days.includes(item.session.date) && item.session.start !== null);
+        const untimed = sessions.filter(item => days.includes(item.session.date) && item.session.start === null);
+
+        // Show at least 6am-11pm, widened to fit every session
+        let firstHour = 6;
+        let lastHour = 23;
+        items.forEach(({ session }) => {
+            firstHour = Math.min(firstHour, Math.floor(session.start / 60));
+            lastHour = Math.max(lastHour, Math.ceil(Math.min(session.end, 1440) / 60));
+        });
+        const hours = Array.from({ length: lastHour - firstHour }, (_, i) => firstHour + i);
+        const height = hours.length * this.WEEK_HOUR_HEIGHT;
+
+        const columns = days.map(date => {
+            const dayItems = items.filter(item => item.session.date === date);
+            const blocks = this.layoutWeekBlocks(dayItems).map(({ item, lane, lanes }) => {
+                const { rink, session } = item;
+                // Sessions running past midnight are cut off at the bottom of the day
+                const end = Math.min(session.end, 1440);
+                const top = (session.start / 60 - firstHour) * this.WEEK_HOUR_HEIGHT;
+                const blockHeight = Math.max((end - session.start) / 60 * this.WEEK_HOUR_HEIGHT, 20);
+
+                return `
+                    <div class="week-block ${rink.type === 'Indoor' ? 'indoor' : 'outdoor'}"
+                         style="top: ${top}px; height: ${blockHeight}px; left: ${lane / lanes * 100}%; width: ${100 / lanes}%;"
+                         title="${rink.name} · ${API.formatSessionTime(session)} · ${API.getActivityLabel(session.activityType)}"
+                         onclick="Views.openSessionDetails('${API.sessionKey(item)}')">
+                        <span class="week-block-time">${API.formatClock(session.start)}</span>
+                        <span class="week-block-rink">${rink.name}</span>
+                    </div>
+                `;
+            }).join('');
+
+            return `<div class="week-day ${date === today ? 'today' : ''}" style="height: ${height}px;">${blocks}</div>`;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="week-grid">
+                <div class="week-corner"></div>
+                ${days.map(date => `<div class="week-day-header ${date === today ? 'today' : ''}">${this.formatDateShort(date)}</div>`).join('')}
+                <div class="week-times">
+                    ${hours.map(hour => `<div class="week-time" style="height: ${this.WEEK_HOUR_HEIGHT}px;">${API.formatClock(hour * 60).replace(':00', '')}</div>`).join('')}
+                </div>
+                ${columns}
+            </div>
+            ${untimed.length > 0 ? `<p class="week-untimed">${untimed.length} sessions without a listed time are only shown in the list view.</p>` : ''}
+        `;
+    },
+
+    /**
+     * Render sessions in progress and starting within the chosen window, with countdowns.
+     * Re-run every minute from the already loaded sessions; nothing is refetched.
+     */
+    renderNowView(sessions, now = new Date()) {
+        const container = document.getElementById('nowSessions');
+
+        const timed = sessions
+            .map(item => ({ item, timing: API.getSessionTiming(item.session, now) }))
+            .filter(({ timing }) => timing && timing.endsIn > 0 && timing.startsIn <= this.nowWindowMinutes);
+
+        // Soonest first, nearest rink breaking ties
+        const byStartThenDistance = (a, b) =>
+            (a.timing.startsIn - b.timing.startsIn) ||
+            ((a.item.rink.distance ?? Infinity) - (b.item.rink.distance ?? Infinity));
+
+        const live = timed.filter(({ timing }) => timing.startsIn <= 0).sort(byStartThenDistance);
+        const soon = timed.filter(({ timing }) => timing.startsIn > 0).sort(byStartThenDistance);
+
+        if (live.length === 0 && soon.length === 0) {
+            const today = API.formatDate(now);
+            const range = FilterSettings.getDateRange();
+            const hint = range && (range.start > today || range.end < today)
+                ? 'Your date filter doesn\'t include today.'
+                : `Nothing starting in the next ${API.formatDuration(this.nowWindowMinutes)}.`;
+            container.innerHTML = `<p class="now-empty">No sessions right now. ${hint}</p>`;
+            return;
+        }
+
+        const renderGroup = (title, entries, getCountdown) => entries.length === 0 ? '' : `
+            <div class="date-group">
+                <div class="date-group-header">${title}</div>
+                ${entries.map(({ item, timing }) => `
+                    <div class="now-session">
+                        <div class="now-countdown">${getCountdown(timing)}</div>
+                        ${this.renderSessionCard(item, false)}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.innerHTML =
+            renderGroup('Skating now', live, timing => `Ends in ${API.formatDuration(timing.endsIn)}`) +
+            renderGroup('Starting soon', soon, timing => `Starts in ${API.formatDuration(timing.startsIn)}`);
+    },
+
+    /**
+     * Place a day's sessions into side-by-side lanes so overlapping blocks don't cover each other.
+     * Returns [{ item, lane, lanes }] where lanes is the lane count of the item's overlap group.
+     */
+    layoutWeekBlocks(items) {
+        const sorted = [...items].sort((a, b) => a.session.start - b.session.start);
+        const placed = [];
+        let group = [];
+        let groupEnd = -1;
+        let laneEnds = [];
+
+        const closeGroup = () => {
+            group.forEach(entry => { entry.lanes = laneEnds.length; });
+            group = [];
+            laneEnds = [];
+        };
+
+        sorted.forEach(item => {
+            const { start, end } = item.session;
+            if (start >= groupEnd) {
+                closeGroup();
+            }
+
+            let lane = laneEnds.findIndex(laneEnd => laneEnd <= start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+            }
+            laneEnds[lane] = end;
+            groupEnd = Math.max(groupEnd, end);
+
+            const entry = { item, lane, lanes: 1 };
+            group.push(entry);
+            placed.push(entry);
+        });
+        closeGroup();
+
+        return placed;
+    },
+
+    /**
+     * Show a session's details and actions in the modal
+     */
+    openSessionDetails(sessionKey) {
+        const item = App.findSession(sessionKey);
+        if (!item) return;
+
+        this.openModal(this.formatDateHeader(item.session.date), `
+            <div class="session-details">${this.renderSessionCard(item, true)}</div>
+        `);
+    },
+
     /**
      * Render map view
      */
@@ -102,8 +459,7 @@ const Views = {
         if (!this.map) return;
 
         // Clear existing markers
-        this.markers.forEach(m => m.remove());
-        this.markers = [];
+        this.markerCluster.clearLayers();
 
         // Group sessions by rink
         const rinkSessions = new Map();
@@ -117,10 +473,12 @@ const Views = {
 
         // Add markers for each rink
         const bounds = [];
+        const markers = [];
         rinkSessions.forEach(({ rink, sessions: rinkSessionList }) => {
             const isIndoor = rink.type === 'Indoor';
+            const isFavorite = RinkSelector.isFavorite(rink.id);
             const markerHtml = `
-                <div class="custom-marker ${isIndoor ? 'indoor' : 'outdoor'}">
+                <div class="custom-marker ${isIndoor ? 'indoor' : 'outdoor'} ${isFavorite ? 'favorite' : ''}">
                     ${rinkSessionList.length}
                 </div>
             `;
@@ -132,21 +490,24 @@ const Views = {
                 iconAnchor: [18, 18]
             });
 
-            const marker = L.marker([rink.lat, rink.lng], { icon })
-                .addTo(this.map)
+            // Session count and favourite flag are read back by createClusterIcon
+            const marker = L.marker([rink.lat, rink.lng], { icon, sessionCount: rinkSessionList.length, isFavorite })
                 .on('click', () => this.showRinkSidebar(rink, rinkSessionList));
 
-            this.markers.push(marker);
+            markers.push(marker);
             bounds.push([rink.lat, rink.lng]);
         });
 
+        // Adding in bulk lets the cluster group build its tree once
+        this.markerCluster.addLayers(markers);
+
         // Add user location marker
         const userLocation = LocationManager.getLocation();
-        if (userLocation) {
-            if (this.userMarker) {
-                this.userMarker.remove();
-            }
+        [this.userMarker, this.radiusCircle, this.radiusHandle].forEach(layer => layer && layer.remove());
+        this.radiusCircle = null;
+        this.radiusHandle = null;
 
+        if (userLocation) {
             const userIcon = L.divIcon({
                 html: '<div class="user-marker"><div class="user-marker-pulse"></div></div>',
                 className: 'user-marker-container',
@@ -154,17 +515,32 @@ const Views = {
                 iconAnchor: [10, 10]
             });
 
-            this.userMarker = L.marker([userLocation.lat, userLocation.lng], { icon: userIcon })
+            // Dragging the marker moves the search location
+            this.userMarker = L.marker([userLocation.lat, userLocation.lng], { icon: userIcon, draggable: true })
                 .addTo(this.map)
-                .bindPopup('Your location');
+                .bindPopup('Your location')
+                .on('drag', () => this.moveRadius(this.userMarker.getLatLng()))
+                .on('dragend', () => {
+                    const { lat, lng } = this.userMarker.getLatLng();
+                    LocationManager.changeLocation({ lat, lng });
+                });
 
             bounds.push([userLocation.lat, userLocation.lng]);
+
+            if (!FilterSettings.settings.anyDistance) {
+                this.drawRadius(userLocation, FilterSettings.settings.maxDistance);
+            }
         }
 
-        // Fit bounds
-        if (bounds.length > 0) {
-            this.map.fitBounds(bounds, { padding: [50, 50] });
+        // Fit bounds, unless searching an area the user chose by panning.
+        // With a distance filter, frame the search radius instead of the markers.
+        const areaBounds = FilterSettings.settings.bounds;
+        if (this.radiusCircle && !areaBounds) {
+            this.fitMap(this.radiusCircle.getBounds(), { padding: [20, 20] });
+        } else if (bounds.length > 0 && !areaBounds) {
+            this.fitMap(bounds);
         }
+        document.getElementById('clearAreaBtn').style.display = areaBounds ? 'block' : 'none';
 
         // Clear sidebar
         document.getElementById('mapSidebarTitle').textContent = 'Select a rink';
@@ -175,6 +551,111 @@ const Views = {
         `;
     },
 
+    /**
+     * Let the user set their location by clicking the map; Escape cancels
+     */
+    startLocationPick() {
+        this.switchView('map');
+        this.cancelLocationPick();
+
+        const container = this.map.getContainer();
+        container.classList.add('picking-location');
+        LocationManager.showToast('Click the map to set your location');
+
+        this.pickHandler = (e) => {
+            this.cancelLocationPick();
+            LocationManager.changeLocation({ lat: e.latlng.lat, lng: e.latlng.lng });
+            LocationManager.showToast('Location set');
+        };
+        this.pickKeyHandler = (e) => {
+            if (e.key === 'Escape') {
+                this.cancelLocationPick();
+            }
+        };
+        this.map.on('click', this.pickHandler);
+        document.addEventListener('keydown', this.pickKeyHandler);
+    },
+
+    /**
+     * Leave location pick mode
+     */
+    cancelLocationPick() {
+        if (!this.pickHandler) return;
+
+        this.map.off('click', this.pickHandler);
+        document.removeEventListener('keydown', this.pickKeyHandler);
+        this.pickHandler = null;
+        this.pickKeyHandler = null;
+        this.map.getContainer().classList.remove('picking-location');
+    },
+
+    /**
+     * Draw the distance filter as a circle with a draggable handle on its east edge
+     */
+    drawRadius(center, km) {
+        this.radiusCircle = L.circle([center.lat, center.lng], {
+            radius: km * 1000,
+            color: '#000000',
+            weight: 1,
+            fillOpacity: 0.05,
+            interactive: false
+        }).addTo(this.map);
+
+        const handleIcon = L.divIcon({
+            html: '<div class="radius-handle"></div>',
+            className: 'custom-marker-container',
+            iconSize: [16, 16],
+            iconAnchor: [8, 8]
+        });
+
+        this.radiusHandle = L.marker(this.getRadiusEdge(center, km), { icon: handleIcon, draggable: true })
+            .addTo(this.map)
+            .bindTooltip(`${km} km`, { direction: 'right' })
+            .on('drag', () => {
+                const distance = this.getHandleDistance();
+                this.radiusCircle.setRadius(distance * 1000);
+                this.radiusHandle.setTooltipContent(`${distance} km`);
+                document.getElementById('distanceSlider').value = distance;
+                document.getElementById('distanceValue').textContent = `${distance} km`;
+            })
+            .on('dragend', () => {
+                // Let the slider's own handler save, update the URL and reload
+                const slider = document.getElementById('distanceSlider');
+                slider.value = this.getHandleDistance();
+                slider.dispatchEvent(new Event('input'));
+            });
+    },
+
+    /**
+     * Get the point due east of a center at a distance in km
+     */
+    getRadiusEdge(center, km) {
+        const kmPerDegreeLng = 111.32 * Math.cos(API.toRad(center.lat));
+        return [center.lat, center.lng + km / kmPerDegreeLng];
+    },
+
+    /**
+     * Get the radius handle's distance from the circle's center, in whole km within the slider's range
+     */
+    getHandleDistance() {
+        const center = this.radiusCircle.getLatLng();
+        const handle = this.radiusHandle.getLatLng();
+        const slider = document.getElementById('distanceSlider');
+        const km = Math.round(API.calculateDistance(center.lat, center.lng, handle.lat, handle.lng));
+        return Math.min(Math.max(km, parseInt(slider.min, 10)), parseInt(slider.max, 10));
+    },
+
+    /**
+     * Keep the radius circle and handle on the user marker while it's dragged
+     */
+    moveRadius(latLng) {
+        if (!this.radiusCircle) return;
+
+        const km = this.radiusCircle.getRadius() / 1000;
+        this.radiusCircle.setLatLng(latLng);
+        this.radiusHandle.setLatLng(this.getRadiusEdge(latLng, km));
+    },
+
     /**
      * Show rink details in sidebar
      */
@@ -185,7 +666,7 @@ const Views = {
         titleEl.textContent = rink.name;
 
         const distanceHtml = rink.distance !== undefined
-            ? `<span class="session-distance">${rink.distance.toFixed(1)} km away</span>`
+            ? `<span class="session-distance">${rink.distance.toFixed(1)} km away · ${API.formatTravelTime(rink, App.travelMode)}</span>`
             : '';
 
         contentEl.innerHTML = `
@@ -198,19 +679,230 @@ const Views = {
                     ${distanceHtml}
                 </div>
             </div>
-            <div style="margin-bottom: 16px;">
+            <div style="margin-bottom: 16px; display: flex; gap: 12px;">
                 <a class="action-link" href="#" onclick="event.preventDefault(); Views.openInMaps(${rink.lat}, ${rink.lng})">Directions</a>
+                <a class="action-link" href="${this.getRinkHash(rink.id)}">Full schedule</a>
             </div>
             <h4 style="margin-bottom: 12px;">Upcoming Sessions</h4>
             ${sessions.slice(0, 10).map(session => `
                 <div style="padding: 12px; background: var(--gray-100); border-radius: 8px; margin-bottom: 8px;">
                     <div style="font-weight: 600;">${this.formatDateHeader(session.date)}</div>
-                    <div style="color: var(--primary-color); font-weight: 600;">${session.time}</div>
-                    <div style="font-size: 13px; color: var(--text-secondary); margin-bottom: 8px;">${session.age}</div>
-                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.addToCalendar('${rink.name.replace(/'/g, "\\'")}', '${rink.address.replace(/'/g, "\\'")}', '${session.date}', '${session.time}', '${session.age}')">Add to Calendar</a>
+                    <div style="color: var(--primary-color); font-weight: 600;">${API.formatSessionTime(session)}</div>
+                    <div style="display: flex; gap: 6px; align-items: center; margin: 4px 0 8px;">
+                        <span class="badge badge-activity">${API.getActivityLabel(session.activityType)}</span>
+                        <span style="font-size: 13px; color: var(--text-secondary);" title="${session.age}">${API.formatAgeEligibility(session.eligibility)}</span>
+                    </div>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.openCalendarChooser('${API.sessionKey({ rink, session })}')">Add to Calendar</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.shareSession('${API.sessionKey({ rink, session })}')" style="margin-left: 12px;">Share</a>
                 </div>
             `).join('')}
-            ${sessions.length > 10 ? `<p style="color: var(--text-secondary);">+ ${sessions.length - 10} more sessions</p>` : ''}
+            ${sessions.length > 10 ? `<a class="action-link" href="${this.getRinkHash(rink.id)}">+ ${sessions.length - 10} more sessions</a>` : ''}
+        `;
+    },
+
+    /**
+     * Get the route for a rink's page
+     */
+    getRinkHash(rinkId) {
+        return `#/rink/${encodeURIComponent(rinkId)}`;
+    },
+
+    /**
+     * Get a shareable link to a rink's page
+     */
+    getRinkURL(rinkId) {
+        // Keep the query so the data source and filters carry over
+        return `${window.location.origin}${window.location.pathname}${window.location.search}${this.getRinkHash(rinkId)}`;
+    },
+
+    /**
+     * Get a link that opens the app on a session (its rink's page, scrolled to it)
+     */
+    getSessionURL(sessionKey) {
+        // Keep the query so the data source and filters carry over
+        return `${window.location.origin}${window.location.pathname}${window.location.search}#/session/${encodeURIComponent(sessionKey)}`;
+    },
+
+    /**
+     * Build the text shared for a session: what, when, who, where and a map link
+     */
+    getShareText(item) {
+        const { rink, session } = item;
+        const date = API.toDate(session.date, 0).toLocaleDateString('en-US', {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric'
+        });
+
+        return [
+            `${API.getActivityLabel(session.activityType)} at ${rink.name}`,
+            `${date}, ${API.formatSessionTime(session)}`,
+            API.formatAgeEligibility(session.eligibility),
+            rink.address,
+            `Map: https://www.google.com/maps/search/?api=1&query=${rink.lat},${rink.lng}`
+        ].join('\n');
+    },
+
+    /**
+     * Share a session with the system share sheet, or copy its details and link
+     */
+    async shareSession(sessionKey) {
+        const item = App.findSession(sessionKey);
+        if (!item) return;
+
+        const text = this.getShareText(item);
+        const url = this.getSessionURL(sessionKey);
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: item.rink.name, text, url });
+                return;
+            } catch (error) {
+                // Closing the share sheet isn't a failure; anything else falls back to the clipboard
+                if (error.name === 'AbortError') return;
+            }
+        }
+
+        this.copyLink(`${text}\n${url}`, 'Session details copied');
+    },
+
+    /**
+     * Show a rink's page with its full upcoming schedule, fetched regardless of filters.
+     * With a session key, that session is highlighted and scrolled into view.
+     */
+    async showRinkPage(rinkId, sessionKey = null) {
+        const route = window.location.hash;
+        if (this.currentView !== 'rink') {
+            this.returnView = this.currentView;
+        }
+        this.switchView('rink');
+        this.rinkPage = null;
+
+        const titleEl = document.getElementById('rinkTitle');
+        const container = document.getElementById('rinkDetail');
+        titleEl.textContent = '';
+        container.innerHTML = `
+            <div class="loading">
+                <div class="spinner"></div>
+                <p>Loading schedule...</p>
+            </div>
+        `;
+
+        let page = null;
+        try {
+            page = await API.fetchRinkSessions(rinkId, LocationManager.getLocation());
+        } catch (error) {
+            console.error('Error loading rink:', error);
+        }
+
+        // Another route was opened while loading
+        if (this.currentView !== 'rink' || window.location.hash !== route) return;
+
+        if (!page) {
+            titleEl.textContent = 'Rink not found';
+            container.innerHTML = '<p class="now-empty">This rink isn\'t in the city\'s list of skating locations.</p>';
+            return;
+        }
+
+        this.rinkPage = page;
+        titleEl.textContent = page.rink.name;
+        this.renderRinkPage(page);
+
+        if (sessionKey) {
+            this.focusRinkSession(sessionKey);
+        }
+    },
+
+    /**
+     * Highlight a session on the rink page and scroll to it
+     */
+    focusRinkSession(sessionKey) {
+        const card = Array.from(document.querySelectorAll('#rinkDetail .rink-session'))
+            .find(el => el.dataset.sessionKey === sessionKey);
+
+        if (!card) {
+            LocationManager.showToast('That session is no longer on the schedule');
+            return;
+        }
+
+        card.classList.add('focused');
+        card.scrollIntoView({ block: 'center' });
+    },
+
+    /**
+     * Leave the rink page for the view it was opened from
+     */
+    closeRinkPage() {
+        this.rinkPage = null;
+        this.switchView(this.returnView);
+    },
+
+    /**
+     * Render a rink's details and its sessions grouped by day
+     */
+    renderRinkPage({ rink, sessions }) {
+        const container = document.getElementById('rinkDetail');
+        const isIndoor = rink.type === 'Indoor';
+
+        const distanceHtml = rink.distance !== undefined
+            ? `<span class="session-distance">${rink.distance.toFixed(1)} km away · ${API.formatTravelTime(rink, App.travelMode)}</span>`
+            : '';
+
+        const grouped = this.groupByDate(sessions);
+        const scheduleHtml = sessions.length === 0
+            ? '<p class="now-empty">No upcoming sessions listed.</p>'
+            : Object.entries(grouped).map(([date, items]) => `
+                <div class="date-group">
+                    <div class="date-group-header">${this.formatDateHeader(date)}</div>
+                    ${items.map(item => this.renderRinkSession(item)).join('')}
+                </div>
+            `).join('');
+
+        container.innerHTML = `
+            <div class="rink-page-info">
+                <p class="address">${rink.address}</p>
+                <div class="session-meta">
+                    <span class="badge ${isIndoor ? 'badge-indoor' : 'badge-outdoor'}">${rink.type}</span>
+                    ${distanceHtml}
+                </div>
+                <div class="rink-page-actions">
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.openInMaps(${rink.lat}, ${rink.lng})">Directions</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.exportAllToCalendar(Views.rinkPage.sessions)">Add all to Calendar</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.copyLink(Views.getRinkURL('${rink.id}'), 'Rink link copied')">Copy link</a>
+                    <a class="action-link" href="${API.getRinkPageUrl(rink.id)}" target="_blank" rel="noopener">City page</a>
+                </div>
+            </div>
+            ${scheduleHtml}
+        `;
+    },
+
+    /**
+     * Render one session on the rink page
+     */
+    renderRinkSession(item) {
+        const { session } = item;
+
+        const timeHtml = session.start !== null
+            ? `<div class="time">${API.formatClock(session.start)}</div>
+                    <div class="time-end">to ${API.formatClock(session.end)}</div>`
+            : `<div class="time">${session.time}</div>`;
+
+        return `
+            <div class="session-card rink-session" data-session-key="${API.sessionKey(item)}">
+                <div class="session-time">
+                    ${timeHtml}
+                </div>
+                <div class="session-info">
+                    <div class="session-meta">
+                        <span class="badge badge-activity">${API.getActivityLabel(session.activityType)}</span>
+                        <span class="badge badge-age" title="${session.age}">${API.formatAgeEligibility(session.eligibility)}</span>
+                    </div>
+                </div>
+                <div class="session-actions">
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.openCalendarChooser('${API.sessionKey(item)}')">Add to Calendar</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); Views.shareSession('${API.sessionKey(item)}')">Share</a>
+                </div>
+            </div>
         `;
     },
 
@@ -236,103 +928,128 @@ const Views = {
         const isIndoor = rink.type === 'Indoor';
 
         const distanceHtml = rink.distance !== undefined
-            ? `<span class="session-distance">${rink.distance.toFixed(1)} km</span>`
+            ? `<span class="session-distance">${rink.distance.toFixed(1)} km · ${API.formatTravelTime(rink, App.travelMode)}</span>`
             : '';
 
         const dateHtml = showDate
             ? `<div class="date">${this.formatDateShort(session.date)}</div>`
             : '';
 
+        const timeHtml = session.start !== null
+            ? `<div class="time">${API.formatClock(session.start)}</div>
+                    <div class="time-end">to ${API.formatClock(session.end)}</div>`
+            : `<div class="time">${session.time}</div>`;
+
         return `
             <div class="session-card" onclick="Views.openInMaps(${rink.lat}, ${rink.lng})">
                 <div class="session-time">
-                    <div class="time">${session.time}</div>
+                    ${timeHtml}
                     ${dateHtml}
                 </div>
                 <div class="session-info">
-                    <h3>${rink.name}</h3>
+                    <h3><a class="rink-link" href="${this.getRinkHash(rink.id)}" onclick="event.stopPropagation()">${rink.name}</a></h3>
                     <p class="address">${rink.address}</p>
                     <div class="session-meta">
                         <span class="badge ${isIndoor ? 'badge-indoor' : 'badge-outdoor'}">
                             ${rink.type}
                         </span>
-                        <span class="badge badge-age">${session.age}</span>
+                        <span class="badge badge-activity">${API.getActivityLabel(session.activityType)}</span>
+                        <span class="badge badge-age" title="${session.age}">${API.formatAgeEligibility(session.eligibility)}</span>
                         ${distanceHtml}
                     </div>
                 </div>
                 <div class="session-actions">
                     <a class="action-link" href="#" onclick="event.preventDefault(); event.stopPropagation(); Views.openInMaps(${rink.lat}, ${rink.lng})">Directions</a>
-                    <a class="action-link" href="#" onclick="event.preventDefault(); event.stopPropagation(); Views.addToCalendar('${rink.name.replace(/'/g, "\\'")}', '${rink.address.replace(/'/g, "\\'")}', '${session.date}', '${session.time}', '${session.age}')">Add to Calendar</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); event.stopPropagation(); Views.openCalendarChooser('${API.sessionKey({ rink, session })}')">Add to Calendar</a>
+                    <a class="action-link" href="#" onclick="event.preventDefault(); event.stopPropagation(); Views.shareSession('${API.sessionKey({ rink, session })}')">Share</a>
                 </div>
             </div>
         `;
     },
 
     /**
-     * Add session to calendar (download ICS file)
+     * Offer web calendar links and the ICS download for a session
      */
-    addToCalendar(name, address, date, time, age) {
-        const startDate = this.parseDateTime(date, time);
-        if (!startDate) {
+    openCalendarChooser(sessionKey) {
+        const item = App.findSession(sessionKey);
+        if (!item || item.session.start === null) {
             alert('Unable to parse date/time');
             return;
         }
 
-        const endDate = new Date(startDate.getTime() + 90 * 60000); // 1.5 hours default
+        const { rink, session } = item;
+        this.openModal('Add to Calendar', `
+            <p class="calendar-chooser-summary">
+                ${rink.name}<br>
+                ${this.formatDateHeader(session.date)}, ${API.formatSessionTime(session)}
+            </p>
+            <div class="calendar-chooser">
+                <a class="btn" href="${CalendarLinks.googleUrl(item)}" target="_blank" rel="noopener">Google Calendar</a>
+                <a class="btn" href="${CalendarLinks.outlookUrl(item, 'outlook')}" target="_blank" rel="noopener">Outlook.com</a>
+                <a class="btn" href="${CalendarLinks.outlookUrl(item, 'office365')}" target="_blank" rel="noopener">Office 365</a>
+                <button class="btn" onclick="Views.addToCalendar('${sessionKey}'); Views.closeModal()">Download .ics (Apple, others)</button>
+            </div>
+        `);
+    },
 
-        const formatICSDate = (d) => {
-            return d.toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
-        };
+    /**
+     * Add session to calendar (download ICS file)
+     */
+    addToCalendar(sessionKey) {
+        const item = App.findSession(sessionKey);
+        if (!item || item.session.start === null) {
+            alert('Unable to parse date/time');
+            return;
+        }
 
-        const icsContent = `BEGIN:VCALENDAR
-VERSION:2.0
-PRODID:-//Toronto Free Skates//EN
-BEGIN:VEVENT
-UID:${Date.now()}@torontofreeskates
-DTSTAMP:${formatICSDate(new Date())}
-DTSTART:${formatICSDate(startDate)}
-DTEND:${formatICSDate(endDate)}
-SUMMARY:${name} - Leisure Skating
-LOCATION:${address}
-DESCRIPTION:Leisure skating session\\n${age}
-END:VEVENT
-END:VCALENDAR`;
-
-        const blob = new Blob([icsContent], { type: 'text/calendar' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `skating-${date}.ics`;
-        a.click();
-        URL.revokeObjectURL(url);
+        const ics = ICS.buildCalendar([item], { reminderMinutes: App.reminderMinutes });
+        this.downloadFile(ics, `skating-${item.session.date}.ics`, 'text/calendar');
 
         LocationManager.showToast('Calendar event downloaded');
     },
 
     /**
-     * Parse date and time strings to Date object
+     * Download every given session as a single calendar file
      */
-    parseDateTime(dateStr, timeStr) {
-        try {
-            const [year, month, day] = dateStr.split('-').map(Number);
-            const timeMatch = timeStr.match(/(\d{1,2}):(\d{2})\s*(AM|PM)?/i);
-
-            if (!timeMatch) return null;
+    exportAllToCalendar(items) {
+        const timed = items.filter(item => item.session.start !== null);
+        if (timed.length === 0) {
+            LocationManager.showToast('No sessions to export');
+            return;
+        }
 
-            let hours = parseInt(timeMatch[1], 10);
-            const minutes = parseInt(timeMatch[2], 10);
-            const isPM = timeMatch[3] && timeMatch[3].toUpperCase() === 'PM';
-            const isAM = timeMatch[3] && timeMatch[3].toUpperCase() === 'AM';
+        const ics = ICS.buildCalendar(timed, { name: 'Toronto Free Skates', reminderMinutes: App.reminderMinutes });
+        this.downloadFile(ics, 'skating-sessions.ics', 'text/calendar');
 
-            if (isPM && hours !== 12) hours += 12;
-            if (isAM && hours === 12) hours = 0;
+        LocationManager.showToast(`${timed.length} sessions exported`);
+    },
 
-            return new Date(year, month - 1, day, hours, minutes);
+    /**
+     * Copy a link to the clipboard, falling back to a prompt the user can copy from
+     */
+    async copyLink(url, message = 'Link copied') {
+        try {
+            await navigator.clipboard.writeText(url);
+            LocationManager.showToast(message);
         } catch {
-            return null;
+            // Clipboard access can be blocked; let the user copy it by hand
+            prompt('Copy this link', url);
         }
     },
 
+    /**
+     * Download text content as a file
+     */
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
     /**
      * Sort sessions
      */
@@ -350,12 +1067,23 @@ END:VCALENDAR`;
                     return distA - distB;
                 });
                 break;
+            case 'travel': {
+                const travelMinutes = item => item.rink.distance !== undefined
+                    ? API.estimateTravelMinutes(item.rink.distance, App.travelMode)
+                    : Infinity;
+                sorted.sort((a, b) =>
+                    (travelMinutes(a) - travelMinutes(b)) ||
+                    a.session.date.localeCompare(b.session.date) ||
+                    ((a.session.start ?? 0) - (b.session.start ?? 0))
+                );
+                break;
+            }
             case 'time':
             default:
                 sorted.sort((a, b) => {
                     const dateCompare = a.session.date.localeCompare(b.session.date);
                     if (dateCompare !== 0) return dateCompare;
-                    return API.parseTime(a.session.time) - API.parseTime(b.session.time);
+                    return (a.session.start ?? 0) - (b.session.start ?? 0);
                 });
         }
 
@@ -0,0 +1,148 @@
+/**
+ * Service Worker for Toronto Free Skates
+ * Precaches the app shell and keeps the last good rink and schedule responses
+ * so the app still renders when the rink has no signal
+ */
+
+const SHELL_CACHE = 'skates-shell-v5';
+const DATA_CACHE = 'skates-data-v1';
+const CDN_CACHE = 'skates-cdn-v1';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/styles.css',
+    'js/cache.js',
+    'js/api.js',
+    'js/ics.js',
+    'js/calendarLinks.js',
+    'js/location.js',
+    'js/filters.js',
+    'js/rinkSelector.js',
+    'js/savedSearches.js',
+    'js/views.js',
+    'js/app.js'
+];
+
+// Added to data responses when they are stored, so the page can tell
+// a cached fallback apart from a live response (see API.trackCacheStatus)
+const CACHED_AT_HEADER = 'X-Skates-Cached-At';
+
+/**
+ * Check if a request is for rink or schedule data
+ */
+function isDataRequest(url) {
+    const decoded = decodeURIComponent(url.href);
+    return url.hostname.endsWith('arcgis.com') || decoded.includes('toronto.ca/data/parks/');
+}
+
+/**
+ * Check if a request is for a third-party library (Leaflet etc.)
+ */
+function isCdnRequest(url) {
+    return url.hostname === 'unpkg.com';
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, DATA_CACHE, CDN_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !current.includes(key)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    if (event.request.method !== 'GET') return;
+
+    const url = new URL(event.request.url);
+
+    if (isDataRequest(url)) {
+        event.respondWith(networkFirst(event.request));
+    } else if (isCdnRequest(url)) {
+        event.respondWith(cacheFirst(event.request, CDN_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(staleWhileRevalidate(event.request));
+    }
+});
+
+/**
+ * Network first for data: store good responses, fall back to the last one when offline
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+
+    try {
+        const response = await fetch(request);
+
+        if (response.ok) {
+            // Store a copy stamped with the fetch time
+            const body = await response.clone().arrayBuffer();
+            const headers = new Headers(response.headers);
+            headers.set(CACHED_AT_HEADER, new Date().toISOString());
+            await cache.put(request, new Response(body, {
+                status: response.status,
+                statusText: response.statusText,
+                headers
+            }));
+        }
+
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cache first for versioned third-party files
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Serve the app shell from cache, refreshing it in the background
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Every filter combination is a different URL, but they all load the same page
+    const key = request.mode === 'navigate' ? 'index.html' : request;
+    const cached = await cache.match(key);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(key, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
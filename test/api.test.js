@@ -0,0 +1,57 @@
+/**
+ * Tests for js/api.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const API = require('../js/api.js');
+
+/**
+ * Replace fetch with one answering each proxied URL by the first strategy that matches it
+ */
+function stubFetch(responses) {
+    const original = global.fetch;
+    const requested = [];
+    global.fetch = async (url) => {
+        requested.push(url);
+        const match = responses.find(([prefix]) => url.startsWith(prefix));
+        return new Response(match[1].body ?? null, { status: match[1].status });
+    };
+    return { requested, restore: () => { global.fetch = original; } };
+}
+
+test('fetchViaProxies falls through to the next proxy when one responds 403', async (t) => {
+    API.setProxyConfig({ chain: ['corsproxy', 'custom'], customUrl: 'http://localhost:8787/?url=' });
+    API.proxyHealth.clear();
+
+    const fetchStub = stubFetch([
+        ['https://corsproxy.io/', { status: 403 }],
+        ['http://localhost:8787/', { status: 200, body: '[]' }]
+    ]);
+    t.after(() => fetchStub.restore());
+
+    const response = await API.fetchViaProxies(`${API.SCHEDULE_BASE}/1.json`);
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(fetchStub.requested.length, 2);
+    assert.strictEqual(API.proxyHealth.get('corsproxy').failures.length, 1);
+    assert.strictEqual(API.proxyHealth.has('custom'), false);
+});
+
+test('fetchViaProxies returns an upstream 404 without trying the next proxy', async (t) => {
+    API.setProxyConfig({ chain: ['corsproxy', 'custom'], customUrl: 'http://localhost:8787/?url=' });
+    API.proxyHealth.clear();
+
+    const fetchStub = stubFetch([
+        ['https://corsproxy.io/', { status: 404 }],
+        ['http://localhost:8787/', { status: 200, body: '[]' }]
+    ]);
+    t.after(() => fetchStub.restore());
+
+    const response = await API.fetchViaProxies(`${API.SCHEDULE_BASE}/1.json`);
+
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual(fetchStub.requested.length, 1);
+    assert.strictEqual(API.proxyHealth.has('corsproxy'), false);
+});
@@ -0,0 +1,32 @@
+/**
+ * Tests for tools/skates.js
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const SKATES = path.join(__dirname, '..', 'tools', 'skates.js');
+
+/**
+ * Run the CLI against the recorded fixtures and parse its JSON output
+ */
+function runSkates(...args) {
+    const output = execFileSync('node', [SKATES, '--source', 'fixtures', '--format', 'json', ...args], {
+        encoding: 'utf8',
+        timeout: 30000
+    });
+    return JSON.parse(output);
+}
+
+test('--url reads the location from a saved search share link', () => {
+    // As built by SavedSearches.getShareURL
+    const sessions = runSkates('--url', 'https://example.com/skates/?dist=5&show=all&loc=43.65000,-79.38000');
+
+    assert.ok(sessions.length > 0);
+    for (const { rink } of sessions) {
+        assert.ok(rink.distance <= 5, `${rink.name} is ${rink.distance} km away`);
+    }
+});
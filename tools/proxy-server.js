@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Local CORS proxy for Toronto Free Skates
+ * Forwards schedule requests to Toronto Open Data (API.SCHEDULE_BASE) and adds CORS headers.
+ * Also serves a subscribable calendar feed of filtered sessions at /calendar.ics.
+ *
+ * Usage:
+ *   node tools/proxy-server.js [--port 8787]
+ *
+ * Then in the app's Data settings, set the self-hosted proxy URL to
+ * http://localhost:8787/?url= and put "custom" first in the proxy order.
+ *
+ * Calendar feed: GET /calendar.ics?<app URL params>, e.g.
+ *   http://localhost:8787/calendar.ics?rinks=123,456&activity=leisure&ages=38,7
+ * Optional feed params: name (calendar name) and reminder (minutes before each session).
+ */
+
+const http = require('http');
+// query.js also loads the browser modules (API, ICS) as globals
+const { querySessions } = require('./query.js');
+
+const DEFAULT_PORT = 8787;
+const UPSTREAM_TIMEOUT = 15000;
+const FEED_PATH = '/calendar.ics';
+const FEED_REFRESH = 'PT6H';  // Matches the app's schedule cache TTL
+
+/**
+ * Read the port from --port or the PORT environment variable
+ */
+function getPort() {
+    const index = process.argv.indexOf('--port');
+    const value = index !== -1 ? process.argv[index + 1] : process.env.PORT;
+    const port = parseInt(value, 10);
+    return isNaN(port) ? DEFAULT_PORT : port;
+}
+
+/**
+ * Only forward schedule files, so this can't be used as an open proxy
+ */
+function isAllowedTarget(target) {
+    if (!target || !target.startsWith(`${API.SCHEDULE_BASE}/`)) return false;
+    const path = target.slice(API.SCHEDULE_BASE.length + 1);
+    return /^\d+\.json$/.test(path);
+}
+
+/**
+ * Write a response with CORS headers
+ */
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, OPTIONS',
+        ...headers
+    });
+    res.end(body);
+}
+
+/**
+ * Serve the calendar feed for the filters in the query string
+ */
+async function handleFeed(res, params) {
+    try {
+        const { sessions } = await querySessions(params);
+        const name = params.get('name') || 'Toronto Free Skates';
+        const reminderMinutes = parseInt(params.get('reminder'), 10) || 0;
+        const body = ICS.buildCalendar(sessions, { name, refreshInterval: FEED_REFRESH, reminderMinutes });
+
+        send(res, 200, body, {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Cache-Control': 'public, max-age=300'
+        });
+        console.log(`200 ${FEED_PATH} (${sessions.length} sessions)`);
+    } catch (error) {
+        console.error(`400 ${FEED_PATH}: ${error.message}`);
+        send(res, 400, error.message, { 'Content-Type': 'text/plain' });
+    }
+}
+
+/**
+ * Handle a request: GET /?url=<encoded schedule URL> or GET /calendar.ics?<filters>
+ */
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        send(res, 204, '');
+        return;
+    }
+
+    if (req.method !== 'GET') {
+        send(res, 405, 'Method not allowed', { 'Content-Type': 'text/plain' });
+        return;
+    }
+
+    const requestUrl = new URL(req.url, 'http://localhost');
+    if (requestUrl.pathname === FEED_PATH) {
+        await handleFeed(res, requestUrl.searchParams);
+        return;
+    }
+
+    const target = requestUrl.searchParams.get('url');
+
+    if (!isAllowedTarget(target)) {
+        send(res, 400, `Only ${API.SCHEDULE_BASE}/<id>.json can be proxied`, { 'Content-Type': 'text/plain' });
+        return;
+    }
+
+    try {
+        const upstream = await fetch(target, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT) });
+
+        // Pass the raw bytes through; the feed is UTF-16LE and API decodes it
+        const body = Buffer.from(await upstream.arrayBuffer());
+        send(res, upstream.status, body, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/json',
+            'Cache-Control': 'public, max-age=300'
+        });
+        console.log(`${upstream.status} ${target}`);
+    } catch (error) {
+        console.error(`502 ${target}: ${error.message}`);
+        send(res, 502, 'Upstream fetch failed', { 'Content-Type': 'text/plain' });
+    }
+}
+
+const port = getPort();
+
+http.createServer(handleRequest).listen(port, () => {
+    console.log(`Toronto Free Skates proxy listening on http://localhost:${port}/?url=`);
+});
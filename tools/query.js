@@ -0,0 +1,114 @@
+/**
+ * Session queries for Toronto Free Skates Node tools
+ * Loads the browser modules from js/ and runs a search from app-style URL params
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// The browser modules refer to each other as globals
+global.API = require('../js/api.js');
+global.FilterSettings = require('../js/filters.js');
+global.ICS = require('../js/ics.js');
+global.LocationManager = require('../js/location.js');
+
+// Node has no CORS restrictions, so schedules can be fetched directly
+API.setProxyConfig({ chain: ['direct'] });
+
+// Read fixtures from disk instead of over HTTP
+API.fetchFixture = async (file) => {
+    try {
+        return new Response(await fs.readFile(path.join(__dirname, '..', API.FIXTURES_BASE, file)));
+    } catch {
+        return new Response(null, { status: 404 });
+    }
+};
+
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org/search';
+
+/**
+ * Geocode a postal code or address in Toronto to { lat, lng }
+ */
+async function geocode(query) {
+    const searchQuery = /toronto|\bON\b|ontario/i.test(query) ? query : `${query}, Toronto, ON, Canada`;
+    const params = new URLSearchParams({
+        format: 'json',
+        q: searchQuery,
+        limit: '1',
+        countrycodes: 'ca'
+    });
+
+    const response = await fetch(`${NOMINATIM_URL}?${params}`, {
+        headers: {
+            'Accept-Language': 'en',
+            // Nominatim's usage policy asks for an identifying User-Agent
+            'User-Agent': 'toronto-free-skates-cli'
+        }
+    });
+    const results = await response.json();
+
+    if (!Array.isArray(results) || results.length === 0) {
+        throw new Error(`Could not find location "${query}"`);
+    }
+
+    return { lat: parseFloat(results[0].lat), lng: parseFloat(results[0].lon) };
+}
+
+/**
+ * Get the search location from loc (lat,lng, as in the app's links) or postal params,
+ * or null if none given
+ */
+async function resolveLocation(params) {
+    if (params.has('loc')) {
+        const location = LocationManager.readFromURL(params.toString());
+        if (!location) {
+            throw new Error('loc must be lat,lng');
+        }
+        return location;
+    }
+
+    if (params.has('postal')) {
+        return geocode(params.get('postal'));
+    }
+
+    return null;
+}
+
+/**
+ * Build API filters from URL params, exactly as the app reads its own URL.
+ * Settings stay local so concurrent queries (the feed server) don't share them.
+ */
+function buildFilters(params) {
+    const urlSettings = FilterSettings.readFromURL(params.toString()) || {};
+    return FilterSettings.getFilters({ ...FilterSettings.defaults, ...urlSettings });
+}
+
+/**
+ * Run a session search. Returns { sessions, location, filters }.
+ */
+async function querySessions(params) {
+    // Passed per query rather than set on API, since the feed server runs many at once
+    const source = params.get('source') || 'live';
+    if (!API.DATA_SOURCES.includes(source)) {
+        throw new Error(`source must be one of ${API.DATA_SOURCES.join(', ')}`);
+    }
+
+    const location = await resolveLocation(params);
+    const filters = buildFilters(params);
+
+    if (!location && !filters.anyDistance) {
+        throw new Error('A distance filter needs a location (loc or postal)');
+    }
+
+    let { sessions } = await API.fetchAllSessions(location, filters, { source });
+
+    // Rink selection, as App.filterByRinks does in the browser
+    if (params.has('rinks')) {
+        const rinkIds = new Set(params.get('rinks').split(',').map(id => parseInt(id, 10)));
+        sessions = sessions.filter(item => rinkIds.has(item.rink.id));
+    }
+
+    return { sessions, location, filters };
+}
+
+module.exports = { geocode, resolveLocation, buildFilters, querySessions };
@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Records snapshots of the live rink and schedule feeds into fixtures/
+ * for the app's "fixtures" data source (?source=fixtures).
+ *
+ * Files are written byte-for-byte as served, so schedules keep Toronto's
+ * UTF-16LE encoding and BOM and go through the same decoding as live data.
+ *
+ * Usage:
+ *   node tools/record-fixtures.js               Record every rink
+ *   node tools/record-fixtures.js --rinks 1,2   Record only these rinks
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const API = require('../js/api.js');
+
+const FIXTURES_DIR = path.join(__dirname, '..', API.FIXTURES_BASE);
+const SCHEDULES_DIR = path.join(FIXTURES_DIR, 'schedules');
+const CONCURRENCY = 5;
+const REQUEST_TIMEOUT = 15000;
+const USAGE = 'Usage: node tools/record-fixtures.js [--rinks <id,id,...>]';
+
+/**
+ * Fetch a URL as raw bytes, or null for a 404
+ */
+async function fetchBytes(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+/**
+ * Read the rink ids passed with --rinks, or null for all rinks
+ */
+function getRinkFilter() {
+    const index = process.argv.indexOf('--rinks');
+    if (index === -1) return null;
+
+    const value = process.argv[index + 1];
+    const ids = value && !value.startsWith('--')
+        ? value.split(',').map(id => parseInt(id, 10)).filter(id => !isNaN(id))
+        : [];
+    if (ids.length === 0) {
+        console.error(`--rinks needs a comma-separated list of rink ids\n\n${USAGE}`);
+        process.exit(1);
+    }
+    return new Set(ids);
+}
+
+async function main() {
+    const rinkFilter = getRinkFilter();
+
+    console.log('Recording rinks...');
+    const rinksBytes = await fetchBytes(API.getRinksQueryUrl());
+    const rinksData = JSON.parse(rinksBytes.toString('utf8'));
+
+    // With --rinks, keep only those rinks in the snapshot so the app doesn't list rinks with no fixture
+    if (rinkFilter) {
+        rinksData.features = rinksData.features.filter(f => rinkFilter.has(f.attributes.locationid));
+    }
+    const rinks = API.parseRinks(rinksData);
+
+    await fs.rm(SCHEDULES_DIR, { recursive: true, force: true });
+    await fs.mkdir(SCHEDULES_DIR, { recursive: true });
+    await fs.writeFile(path.join(FIXTURES_DIR, 'rinks.json'), rinkFilter ? JSON.stringify(rinksData) : rinksBytes);
+
+    let recorded = 0;
+    let missing = 0;
+    let failed = 0;
+
+    for (let i = 0; i < rinks.length; i += CONCURRENCY) {
+        const batch = rinks.slice(i, i + CONCURRENCY);
+        await Promise.all(batch.map(async rink => {
+            try {
+                const bytes = await fetchBytes(`${API.SCHEDULE_BASE}/${rink.id}.json`);
+                if (!bytes) {
+                    missing++;
+                    return;
+                }
+                await fs.writeFile(path.join(SCHEDULES_DIR, `${rink.id}.json`), bytes);
+                recorded++;
+            } catch (error) {
+                console.error(`  ${rink.id} ${rink.name}: ${error.message}`);
+                failed++;
+            }
+        }));
+        console.log(`  ${Math.min(i + CONCURRENCY, rinks.length)} / ${rinks.length} rinks`);
+    }
+
+    const manifest = {
+        recordedAt: API.formatDate(new Date()),
+        rinks: rinks.length,
+        schedules: recorded
+    };
+    await fs.writeFile(path.join(FIXTURES_DIR, 'manifest.json'), `${JSON.stringify(manifest, null, 4)}\n`);
+
+    console.log(`Recorded ${recorded} schedules (${missing} rinks without one, ${failed} failed)`);
+    if (failed > 0) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Command-line tool for Toronto Free Skates
+ * Prints upcoming skating sessions as a table, JSON or ICS.
+ *
+ * Usage:
+ *   node tools/skates.js --postal "M5V 2T6" --dist 5 --date today
+ *   node tools/skates.js --lat 43.65 --lng -79.38 --activity shinny --format json
+ *   node tools/skates.js --url "https://example.com/?dist=5&time=evening" --postal M4C
+ *   node tools/skates.js --rinks 123,456 --format ics > skates.ics
+ *   node tools/skates.js --source fixtures --date today
+ */
+
+const { querySessions } = require('./query.js');
+
+// Options that map straight onto the app's URL params (see FilterSettings.readFromURL)
+const FILTER_PARAMS = ['dist', 'date', 'pickDate', 'from', 'to', 'time', 'days', 'ages', 'type', 'activity', 'show', 'bbox', 'rinks'];
+const LOCATION_PARAMS = ['loc', 'postal'];
+const SOURCE_PARAMS = ['source'];
+const FORMATS = ['table', 'json', 'ics'];
+
+const HELP = `Usage: node tools/skates.js [options]
+
+Filters (same as the app's URL parameters):
+  --dist <km>          Only rinks within this distance (1-50); needs a location
+  --date <value>       any, today, tomorrow, weekend, week (next 7 days), month,
+                       or a date (YYYY-MM-DD)
+  --from <date> --to <date>
+                       Custom date range (YYYY-MM-DD)
+  --time <value>       all, morning, afternoon, evening, or a start-time
+                       window like 06:30-08:45
+  --days <days>        Comma-separated days of the week, e.g. tue,sat,sun
+  --ages <ages>        Ages of everyone skating, e.g. 38,7,3; only sessions
+                       they can all attend
+  --type <value>       Indoor or Outdoor
+  --activity <value>   ${API.ACTIVITY_TYPES.map(t => t.id).join(', ')}
+  --show <value>       upcoming (default), all or past
+  --bbox <box>         Map area as west,south,east,north
+  --rinks <ids>        Comma-separated rink ids
+  --url <link>         Read filters from a shared app link
+
+Location:
+  --loc <lat,lng>      As in the app's share links
+  --lat <lat> --lng <lng>
+                       Same as --loc
+  --postal <code>      Postal code or address, geocoded with OpenStreetMap
+
+Data:
+  --source <value>     live (default) or fixtures (recorded snapshots in fixtures/)
+
+Output:
+  --format <value>     table (default), json or ics
+  --reminder <minutes> With --format ics, add a reminder this long before each session
+  --help               Show this help
+`;
+
+/**
+ * Parse --key value / --key=value arguments into URL params and a format
+ */
+function parseArgs(argv) {
+    const params = new URLSearchParams();
+    let format = 'table';
+    let reminderMinutes = 0;
+    const coordinates = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        let [key, value] = arg.slice(2).split(/=(.*)/s);
+        if (key === 'help') {
+            return { help: true };
+        }
+        if (value === undefined) {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new Error(`Missing value for --${key}`);
+        }
+
+        if (key === 'url') {
+            const url = new URL(value);
+            url.searchParams.forEach((v, k) => params.set(k, v));
+        } else if (key === 'format') {
+            if (!FORMATS.includes(value)) {
+                throw new Error(`--format must be one of ${FORMATS.join(', ')}`);
+            }
+            format = value;
+        } else if (key === 'reminder') {
+            reminderMinutes = parseInt(value, 10);
+            if (isNaN(reminderMinutes) || reminderMinutes < 0) {
+                throw new Error('--reminder must be a number of minutes');
+            }
+        } else if (key === 'date' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+            // Shorthand for the app's "pick a date" mode
+            params.set('date', 'pick');
+            params.set('pickDate', value);
+        } else if (key === 'lat' || key === 'lng') {
+            // Combined into loc below, the one location param the app and tools share
+            coordinates[key] = value;
+        } else if ([...FILTER_PARAMS, ...LOCATION_PARAMS, ...SOURCE_PARAMS].includes(key)) {
+            params.set(key, value);
+        } else {
+            throw new Error(`Unknown option --${key}`);
+        }
+    }
+
+    if (coordinates.lat !== undefined || coordinates.lng !== undefined) {
+        if (coordinates.lat === undefined || coordinates.lng === undefined) {
+            throw new Error('--lat and --lng go together');
+        }
+        params.set('loc', `${coordinates.lat},${coordinates.lng}`);
+    }
+
+    // A custom range implies the app's range mode
+    if ((params.has('from') || params.has('to')) && !params.has('date')) {
+        params.set('date', 'range');
+    }
+
+    return { params, format, reminderMinutes };
+}
+
+/**
+ * Format sessions as a plain-text table
+ */
+function formatTable(sessions) {
+    if (sessions.length === 0) {
+        return 'No skating sessions found.';
+    }
+
+    const header = ['Date', 'Time', 'Rink', 'Type', 'Activity', 'Age', 'Distance'];
+    const rows = sessions.map(({ rink, session }) => [
+        session.date,
+        API.formatSessionTime(session),
+        rink.name,
+        rink.type,
+        API.getActivityLabel(session.activityType),
+        API.formatAgeEligibility(session.eligibility),
+        rink.distance !== undefined ? `${rink.distance.toFixed(1)} km` : ''
+    ]);
+
+    const widths = header.map((h, col) => Math.max(h.length, ...rows.map(row => String(row[col]).length)));
+    const formatRow = row => row.map((cell, col) => String(cell).padEnd(widths[col])).join('  ').trimEnd();
+
+    return [
+        formatRow(header),
+        widths.map(w => '-'.repeat(w)).join('  '),
+        ...rows.map(formatRow)
+    ].join('\n');
+}
+
+async function main() {
+    let args;
+    try {
+        args = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${HELP}`);
+        process.exit(1);
+    }
+
+    if (args.help) {
+        console.log(HELP);
+        return;
+    }
+
+    const { sessions } = await querySessions(args.params);
+
+    if (args.format === 'json') {
+        console.log(JSON.stringify(sessions, null, 2));
+    } else if (args.format === 'ics') {
+        // The calendar already ends with CRLF
+        process.stdout.write(ICS.buildCalendar(sessions, { reminderMinutes: args.reminderMinutes }));
+    } else {
+        console.log(formatTable(sessions));
+    }
+}
+
+main().catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+});